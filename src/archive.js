@@ -0,0 +1,829 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { createReadStream, createWriteStream } = require('fs');
+const { Readable } = require('stream');
+
+// Supported output formats for packed backups and the file extension each one produces
+const ARCHIVE_EXTENSIONS = {
+  zip: '.zip',
+  tar: '.tar',
+  'tar.gz': '.tar.gz'
+};
+
+const ZIP_MAX_VALUE = 0xFFFFFFFF;
+const ZIP_MAX_ENTRIES = 0xFFFF;
+const TAR_BLOCK_SIZE = 512;
+const TAR_MAX_OCTAL_SIZE = 0o77777777777;
+// Unix file type bits, stored in the upper half of a ZIP entry's external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Precomputed CRC-32 table (IEEE 802.3 polynomial) used by the ZIP writer
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buffer, previous = 0) {
+  let crc = previous ^ -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+class ArchiveOperations {
+  /**
+   * Check whether an output format produces a single archive file
+   */
+  static isArchiveFormat(format) {
+    return Object.prototype.hasOwnProperty.call(ARCHIVE_EXTENSIONS, format);
+  }
+
+  /**
+   * File extension for an archive format ('' for plain folders)
+   */
+  static getExtension(format) {
+    return ArchiveOperations.isArchiveFormat(format) ? ARCHIVE_EXTENSIONS[format] : '';
+  }
+
+  /**
+   * Detect the archive format of a file from its name, or null for non-archives
+   */
+  static detectFormat(filePath) {
+    const lower = filePath.toLowerCase();
+    // Check longest extensions first so '.tar.gz' wins over '.gz'
+    const formats = Object.keys(ARCHIVE_EXTENSIONS)
+      .sort((a, b) => ARCHIVE_EXTENSIONS[b].length - ARCHIVE_EXTENSIONS[a].length);
+    for (const format of formats) {
+      if (lower.endsWith(ARCHIVE_EXTENSIONS[format])) {
+        return format;
+      }
+    }
+    if (lower.endsWith('.tgz')) {
+      return 'tar.gz';
+    }
+    return null;
+  }
+
+  /**
+   * Pack the contents of a directory into a single archive file
+   */
+  async writeArchive(sourceDir, archivePath, format, onProgress = null, cancellationToken = null) {
+    console.log('ArchiveOperations: Writing', format, 'archive:', archivePath);
+
+    const entries = await this._collectEntries(sourceDir);
+
+    if (format === 'zip') {
+      await this._writeZip(entries, archivePath, onProgress, cancellationToken);
+    } else if (format === 'tar' || format === 'tar.gz') {
+      await this._writeTar(entries, archivePath, format === 'tar.gz', onProgress, cancellationToken);
+    } else {
+      throw new Error(`Unsupported archive format: ${format}`);
+    }
+
+    console.log(`ArchiveOperations: Wrote ${entries.length} entries to archive`);
+  }
+
+  /**
+   * Stop writing with an ECANCELED error once cancellation has been requested
+   */
+  _throwIfCancelled(cancellationToken) {
+    if (cancellationToken && cancellationToken.isCancellationRequested) {
+      const error = new Error('Operation cancelled');
+      error.code = 'ECANCELED';
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate SHA-256 hashes for every file entry inside an archive
+   * Keys are relative paths using the platform separator, matching FileOperations hash maps
+   * Symlinks are hashed by their target path: tar keeps it in the header, ZIP as the entry's content
+   */
+  async hashEntries(archivePath, format = ArchiveOperations.detectFormat(archivePath)) {
+    const hashes = new Map();
+
+    await this._readEntries(archivePath, format, (entry) => {
+      if (entry.type === 'symlink' && entry.linkname !== undefined) {
+        const linkHash = crypto.createHash('sha256').update(entry.linkname).digest('hex');
+        hashes.set(entry.path.split('/').join(path.sep), linkHash);
+        return null;
+      }
+      if (entry.type !== 'file' && entry.type !== 'symlink') return null;
+
+      const hash = crypto.createHash('sha256');
+      return {
+        write: (chunk) => { hash.update(chunk); },
+        end: () => { hashes.set(entry.path.split('/').join(path.sep), hash.digest('hex')); }
+      };
+    });
+
+    return hashes;
+  }
+
+  /**
+   * Extract archive entries into a directory
+   * filter(relativePath, entry) can limit extraction to selected entries
+   */
+  async extractArchive(archivePath, destDir, format = ArchiveOperations.detectFormat(archivePath), filter = null) {
+    console.log('ArchiveOperations: Extracting', format, 'archive:', archivePath, '->', destDir);
+    let extracted = 0;
+
+    await fs.mkdir(destDir, { recursive: true });
+    await this._readEntries(archivePath, format, async (entry) => {
+      const relativePath = entry.path.split('/').join(path.sep);
+      if (filter && !filter(relativePath, entry)) return null;
+
+      const targetPath = path.join(destDir, relativePath);
+      if (entry.type === 'directory') {
+        await fs.mkdir(targetPath, { recursive: true });
+        return null;
+      }
+      if (entry.type !== 'file') return null;
+
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      const out = createWriteStream(targetPath);
+      return {
+        write: (chunk) => this._writeChunk(out, chunk),
+        end: async () => {
+          await this._endStream(out);
+          extracted++;
+        }
+      };
+    });
+
+    console.log(`ArchiveOperations: Extracted ${extracted} files`);
+    return extracted;
+  }
+
+  /**
+   * Walk a directory and list archive entries in a stable order (directories before their contents)
+   */
+  async _collectEntries(rootDir) {
+    const entries = [];
+
+    const walk = async (currentDir) => {
+      const names = (await fs.readdir(currentDir)).sort();
+
+      for (const name of names) {
+        const fullPath = path.join(currentDir, name);
+        // Links are archived as links, never followed
+        const stat = await fs.lstat(fullPath);
+        const archiveName = path.relative(rootDir, fullPath).split(path.sep).join('/');
+
+        if (stat.isSymbolicLink()) {
+          const linkname = await fs.readlink(fullPath);
+          entries.push({ name: archiveName, fullPath, type: 'symlink', size: 0, mode: stat.mode, mtime: stat.mtime, linkname });
+        } else if (stat.isDirectory()) {
+          entries.push({ name: archiveName, fullPath, type: 'directory', size: 0, mode: stat.mode, mtime: stat.mtime });
+          await walk(fullPath);
+        } else if (stat.isFile()) {
+          entries.push({ name: archiveName, fullPath, type: 'file', size: stat.size, mode: stat.mode, mtime: stat.mtime });
+        }
+      }
+    };
+
+    await walk(rootDir);
+    return entries;
+  }
+
+  /**
+   * Write a chunk to a stream, waiting for it to drain when its buffer is full
+   */
+  _writeChunk(stream, chunk) {
+    if (stream.write(chunk)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        stream.removeListener('error', onError);
+        resolve();
+      };
+      const onError = (error) => {
+        stream.removeListener('drain', onDrain);
+        reject(error);
+      };
+      stream.once('drain', onDrain);
+      stream.once('error', onError);
+    });
+  }
+
+  /**
+   * End a write stream and wait for the underlying file to be flushed
+   */
+  _endStream(stream, target = stream) {
+    return new Promise((resolve, reject) => {
+      target.once('finish', resolve);
+      target.once('close', resolve);
+      target.once('error', reject);
+      stream.end();
+    });
+  }
+
+  /**
+   * Convert a Date into MS-DOS time and date fields used by ZIP headers
+   */
+  _toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Write a ZIP archive (deflate, streamed with data descriptors)
+   */
+  async _writeZip(entries, archivePath, onProgress, cancellationToken = null) {
+    if (entries.length > ZIP_MAX_ENTRIES) {
+      throw new Error(`Too many entries for ZIP format (${entries.length}); use tar or tar.gz instead`);
+    }
+
+    const out = createWriteStream(archivePath);
+    const centralDirectory = [];
+    let offset = 0;
+
+    const write = async (buffer) => {
+      await this._writeChunk(out, buffer);
+      offset += buffer.length;
+    };
+
+    try {
+      for (const entry of entries) {
+        this._throwIfCancelled(cancellationToken);
+        const isDirectory = entry.type === 'directory';
+        const name = Buffer.from(isDirectory ? `${entry.name}/` : entry.name, 'utf8');
+        const { time, date } = this._toDosDateTime(entry.mtime);
+        // Bit 11: UTF-8 names, bit 3: sizes and CRC follow the data in a descriptor
+        const flags = isDirectory ? 0x0800 : 0x0808;
+        const method = isDirectory ? 0 : 8;
+        const headerOffset = offset;
+
+        if (headerOffset > ZIP_MAX_VALUE) {
+          throw new Error('Archive exceeds ZIP size limits; use tar or tar.gz instead');
+        }
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt16LE(name.length, 26);
+        await write(Buffer.concat([local, name]));
+
+        let crc = 0;
+        let uncompressedSize = 0;
+        let compressedSize = 0;
+
+        if (!isDirectory) {
+          // A symlink's content is its target path; the mode's file type bits mark it as a link
+          const input = entry.type === 'symlink'
+            ? Readable.from([Buffer.from(entry.linkname, 'utf8')])
+            : createReadStream(entry.fullPath);
+          const deflate = zlib.createDeflateRaw();
+          input.on('data', (chunk) => {
+            crc = crc32(chunk, crc);
+            uncompressedSize += chunk.length;
+          });
+          input.on('error', (error) => deflate.destroy(error));
+          input.pipe(deflate);
+
+          for await (const chunk of deflate) {
+            compressedSize += chunk.length;
+            await write(chunk);
+          }
+
+          if (uncompressedSize > ZIP_MAX_VALUE || compressedSize > ZIP_MAX_VALUE) {
+            throw new Error(`File too large for ZIP format: ${entry.name}; use tar or tar.gz instead`);
+          }
+
+          const descriptor = Buffer.alloc(16);
+          descriptor.writeUInt32LE(0x08074b50, 0);
+          descriptor.writeUInt32LE(crc, 4);
+          descriptor.writeUInt32LE(compressedSize, 8);
+          descriptor.writeUInt32LE(uncompressedSize, 12);
+          await write(descriptor);
+
+          if (onProgress) {
+            onProgress({ type: 'archive_progress', entry: entry.name, bytes: uncompressedSize });
+          }
+        }
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE((3 << 8) | 20, 4); // Made by UNIX so permission bits are kept
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(flags, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressedSize, 20);
+        central.writeUInt32LE(uncompressedSize, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE((((entry.mode & 0xFFFF) << 16) | (isDirectory ? 0x10 : 0)) >>> 0, 38);
+        central.writeUInt32LE(headerOffset, 42);
+        centralDirectory.push(Buffer.concat([central, name]));
+      }
+
+      const centralOffset = offset;
+      const centralBuffer = Buffer.concat(centralDirectory);
+      if (centralOffset > ZIP_MAX_VALUE) {
+        throw new Error('Archive exceeds ZIP size limits; use tar or tar.gz instead');
+      }
+      await write(centralBuffer);
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(centralBuffer.length, 12);
+      end.writeUInt32LE(centralOffset, 16);
+      await write(end);
+
+      await this._endStream(out);
+    } catch (error) {
+      out.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Write a ustar archive, optionally gzip-compressed
+   */
+  async _writeTar(entries, archivePath, gzip, onProgress, cancellationToken = null) {
+    const file = createWriteStream(archivePath);
+    let out = file;
+    if (gzip) {
+      out = zlib.createGzip();
+      out.on('error', (error) => file.destroy(error));
+      out.pipe(file);
+    }
+
+    try {
+      for (const entry of entries) {
+        this._throwIfCancelled(cancellationToken);
+        await this._writeTarEntryHeader(out, entry);
+
+        if (entry.type === 'file') {
+          let written = 0;
+          for await (const chunk of createReadStream(entry.fullPath)) {
+            written += chunk.length;
+            await this._writeChunk(out, chunk);
+          }
+          if (written !== entry.size) {
+            throw new Error(`File changed while archiving: ${entry.name}`);
+          }
+          const padding = (TAR_BLOCK_SIZE - (written % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+          if (padding > 0) {
+            await this._writeChunk(out, Buffer.alloc(padding));
+          }
+
+          if (onProgress) {
+            onProgress({ type: 'archive_progress', entry: entry.name, bytes: written });
+          }
+        }
+      }
+
+      // Two empty blocks mark the end of the archive
+      await this._writeChunk(out, Buffer.alloc(TAR_BLOCK_SIZE * 2));
+      await this._endStream(out, file);
+    } catch (error) {
+      out.destroy();
+      file.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Write the header block(s) for a tar entry, adding a PAX header for long names or huge files
+   */
+  async _writeTarEntryHeader(out, entry) {
+    const name = entry.type === 'directory' ? `${entry.name}/` : entry.name;
+    const typeflag = entry.type === 'directory' ? '5' : (entry.type === 'symlink' ? '2' : '0');
+    const linkname = entry.linkname || '';
+    const paxRecords = {};
+
+    let headerName = name;
+    let prefix = '';
+    if (Buffer.byteLength(name) > 100) {
+      const split = this._splitTarName(name);
+      if (split) {
+        ({ name: headerName, prefix } = split);
+      } else {
+        paxRecords.path = name;
+        headerName = name.slice(0, 100);
+      }
+    }
+    if (Buffer.byteLength(linkname) > 100) {
+      paxRecords.linkpath = linkname;
+    }
+    if (entry.size > TAR_MAX_OCTAL_SIZE) {
+      paxRecords.size = String(entry.size);
+    }
+
+    if (Object.keys(paxRecords).length > 0) {
+      const body = Buffer.from(this._formatPaxRecords(paxRecords), 'utf8');
+      await this._writeChunk(out, this._tarHeader({
+        name: `PaxHeader/${path.posix.basename(name).slice(0, 80)}`,
+        size: body.length,
+        mode: 0o644,
+        mtime: entry.mtime,
+        typeflag: 'x'
+      }));
+      const padding = (TAR_BLOCK_SIZE - (body.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+      await this._writeChunk(out, Buffer.concat([body, Buffer.alloc(padding)]));
+    }
+
+    await this._writeChunk(out, this._tarHeader({
+      name: headerName,
+      prefix,
+      size: entry.type === 'file' ? Math.min(entry.size, TAR_MAX_OCTAL_SIZE) : 0,
+      mode: entry.mode & 0o7777,
+      mtime: entry.mtime,
+      typeflag,
+      linkname: linkname.slice(0, 100)
+    }));
+  }
+
+  /**
+   * Split a long path into ustar prefix/name fields, or null when it does not fit
+   */
+  _splitTarName(name) {
+    const trimmed = name.endsWith('/') ? name.slice(0, -1) : name;
+    const trailing = name.endsWith('/') ? '/' : '';
+
+    for (let i = trimmed.lastIndexOf('/'); i > 0; i = trimmed.lastIndexOf('/', i - 1)) {
+      const prefix = trimmed.slice(0, i);
+      const rest = trimmed.slice(i + 1) + trailing;
+      if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+        return { prefix, name: rest };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Format PAX extended header records ("<length> <key>=<value>\n")
+   */
+  _formatPaxRecords(records) {
+    let output = '';
+    for (const [key, value] of Object.entries(records)) {
+      const record = ` ${key}=${value}\n`;
+      const recordLength = Buffer.byteLength(record);
+      // The length prefix counts its own digits, so settle on a stable value
+      let length = recordLength + 1;
+      while (String(length).length + recordLength !== length) {
+        length = String(length).length + recordLength;
+      }
+      output += `${length}${record}`;
+    }
+    return output;
+  }
+
+  /**
+   * Build a single 512-byte ustar header block
+   */
+  _tarHeader({ name, prefix = '', size, mode, mtime, typeflag, linkname = '' }) {
+    const header = Buffer.alloc(TAR_BLOCK_SIZE);
+    const writeOctal = (value, offset, length) => {
+      header.write(Math.floor(value).toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+    };
+
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(mode, 100, 8);
+    writeOctal(0, 108, 8);
+    writeOctal(0, 116, 8);
+    writeOctal(size, 124, 12);
+    writeOctal(mtime.getTime() / 1000, 136, 12);
+    header.fill(' ', 148, 156);
+    header.write(typeflag, 156, 1, 'ascii');
+    header.write(linkname, 157, 100, 'utf8');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+      checksum += header[i];
+    }
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+    return header;
+  }
+
+  /**
+   * Read every entry of an archive, handing entry data to the consumer returned by onEntry
+   * onEntry(entry) returns { write(chunk), end() } (either may return a promise) or null to skip
+   */
+  async _readEntries(archivePath, format, onEntry) {
+    if (format === 'zip') {
+      await this._readZipEntries(archivePath, onEntry);
+    } else if (format === 'tar' || format === 'tar.gz') {
+      await this._readTarEntries(archivePath, format === 'tar.gz', onEntry);
+    } else {
+      throw new Error(`Unsupported archive format: ${format}`);
+    }
+  }
+
+  /**
+   * Read ZIP entries via the central directory
+   */
+  async _readZipEntries(archivePath, onEntry) {
+    const handle = await fs.open(archivePath, 'r');
+    let entries;
+
+    try {
+      const { size } = await handle.stat();
+      const tailLength = Math.min(size, 22 + 0xFFFF);
+      const tail = Buffer.alloc(tailLength);
+      await handle.read(tail, 0, tailLength, size - tailLength);
+
+      let endOffset = -1;
+      for (let i = tailLength - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === 0x06054b50) {
+          endOffset = i;
+          break;
+        }
+      }
+      if (endOffset === -1) {
+        throw new Error(`Not a valid ZIP archive: ${archivePath}`);
+      }
+
+      const entryCount = tail.readUInt16LE(endOffset + 10);
+      const centralSize = tail.readUInt32LE(endOffset + 12);
+      const centralOffset = tail.readUInt32LE(endOffset + 16);
+
+      const central = Buffer.alloc(centralSize);
+      await handle.read(central, 0, centralSize, centralOffset);
+
+      entries = [];
+      let pos = 0;
+      for (let i = 0; i < entryCount; i++) {
+        if (central.readUInt32LE(pos) !== 0x02014b50) {
+          throw new Error(`Corrupted ZIP central directory in ${archivePath}`);
+        }
+        const method = central.readUInt16LE(pos + 10);
+        const compressedSize = central.readUInt32LE(pos + 20);
+        const nameLength = central.readUInt16LE(pos + 28);
+        const extraLength = central.readUInt16LE(pos + 30);
+        const commentLength = central.readUInt16LE(pos + 32);
+        const externalAttributes = central.readUInt32LE(pos + 38);
+        const localOffset = central.readUInt32LE(pos + 42);
+        const rawName = central.toString('utf8', pos + 46, pos + 46 + nameLength);
+        const isDirectory = rawName.endsWith('/');
+        const isSymlink = ((externalAttributes >>> 16) & S_IFMT) === S_IFLNK;
+
+        const local = Buffer.alloc(30);
+        await handle.read(local, 0, 30, localOffset);
+        if (local.readUInt32LE(0) !== 0x04034b50) {
+          throw new Error(`Corrupted ZIP local header for ${rawName}`);
+        }
+        const dataOffset = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+        entries.push({
+          path: isDirectory ? rawName.slice(0, -1) : rawName,
+          type: isDirectory ? 'directory' : (isSymlink ? 'symlink' : 'file'),
+          mode: (externalAttributes >>> 16) & 0o7777,
+          method,
+          compressedSize,
+          dataOffset
+        });
+
+        pos += 46 + nameLength + extraLength + commentLength;
+      }
+    } finally {
+      await handle.close();
+    }
+
+    for (const entry of entries) {
+      this._assertSafeEntryPath(entry.path);
+      const consumer = await onEntry(entry);
+      if (!consumer) continue;
+
+      if (entry.compressedSize > 0) {
+        const raw = createReadStream(archivePath, {
+          start: entry.dataOffset,
+          end: entry.dataOffset + entry.compressedSize - 1
+        });
+        let data = raw;
+        if (entry.method === 8) {
+          data = zlib.createInflateRaw();
+          raw.on('error', (error) => data.destroy(error));
+          raw.pipe(data);
+        } else if (entry.method !== 0) {
+          raw.destroy();
+          throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.path}`);
+        }
+
+        for await (const chunk of data) {
+          await consumer.write(chunk);
+        }
+      }
+      await consumer.end();
+    }
+  }
+
+  /**
+   * Read tar entries sequentially from a (optionally gzip-compressed) stream
+   */
+  async _readTarEntries(archivePath, gzipped, onEntry) {
+    let input = createReadStream(archivePath);
+    if (gzipped) {
+      const gunzip = zlib.createGunzip();
+      input.on('error', (error) => gunzip.destroy(error));
+      input = input.pipe(gunzip);
+    }
+
+    let buffer = Buffer.alloc(0);
+    let current = null; // { consumer, isPax, typeflag, remaining, padding }
+    let pax = {};
+    let paxEntry = null;
+    let finished = false;
+
+    const finishEntry = async () => {
+      if (current.consumer) {
+        await current.consumer.end();
+      }
+      if (current.isPax) {
+        // GNU long names ('L') carry the bare path; PAX headers ('x') carry records
+        pax = current.typeflag === 'L'
+          ? { path: paxEntry.toString('utf8').replace(/\0+$/, '') }
+          : this._parsePaxRecords(paxEntry);
+        paxEntry = null;
+      }
+      current = null;
+    };
+
+    for await (const chunk of input) {
+      if (finished) continue;
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+      while (!finished) {
+        if (current) {
+          if (current.remaining > 0) {
+            if (buffer.length === 0) break;
+            const take = Math.min(current.remaining, buffer.length);
+            const data = buffer.subarray(0, take);
+            buffer = buffer.subarray(take);
+            current.remaining -= take;
+            if (current.isPax) {
+              paxEntry = Buffer.concat([paxEntry, data]);
+            } else if (current.consumer) {
+              await current.consumer.write(data);
+            }
+            continue;
+          }
+          if (buffer.length < current.padding) {
+            current.padding -= buffer.length;
+            buffer = Buffer.alloc(0);
+            break;
+          }
+          buffer = buffer.subarray(current.padding);
+          await finishEntry();
+          continue;
+        }
+
+        if (buffer.length < TAR_BLOCK_SIZE) break;
+        const header = buffer.subarray(0, TAR_BLOCK_SIZE);
+        buffer = buffer.subarray(TAR_BLOCK_SIZE);
+
+        if (header.every((byte) => byte === 0)) {
+          finished = true;
+          break;
+        }
+
+        const entry = this._parseTarHeader(header, pax);
+        const isPax = entry.typeflag === 'x' || entry.typeflag === 'L';
+        if (entry.typeflag === 'g') {
+          // Global PAX headers are not needed for our entries - skip their payload
+          current = { consumer: null, remaining: entry.size, padding: this._tarPadding(entry.size) };
+          continue;
+        }
+        if (!isPax) {
+          pax = {};
+        }
+
+        let consumer = null;
+        if (!isPax && entry.type) {
+          this._assertSafeEntryPath(entry.path);
+          consumer = await onEntry(entry);
+        }
+        if (isPax) {
+          paxEntry = Buffer.alloc(0);
+        }
+
+        const dataSize = entry.type === 'directory' ? 0 : entry.size;
+        current = {
+          consumer,
+          isPax,
+          typeflag: entry.typeflag,
+          remaining: dataSize,
+          padding: this._tarPadding(dataSize)
+        };
+      }
+    }
+
+    if (current) {
+      if (current.remaining > 0) {
+        throw new Error(`Unexpected end of tar archive: ${archivePath}`);
+      }
+      await finishEntry();
+    }
+  }
+
+  /**
+   * Number of padding bytes after an entry of the given size
+   */
+  _tarPadding(size) {
+    return (TAR_BLOCK_SIZE - (size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+  }
+
+  /**
+   * Parse a ustar header block, applying any pending PAX overrides
+   */
+  _parseTarHeader(header, pax) {
+    const readString = (offset, length) => {
+      const end = header.indexOf(0, offset);
+      return header.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+    };
+    const readOctal = (offset, length) => {
+      const value = readString(offset, length).trim();
+      return value ? parseInt(value, 8) : 0;
+    };
+
+    let checksum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+      checksum += (i >= 148 && i < 156) ? 32 : header[i];
+    }
+    if (checksum !== readOctal(148, 8)) {
+      throw new Error('Corrupted tar header (checksum mismatch)');
+    }
+
+    const typeflag = readString(156, 1) || '0';
+    const prefix = readString(345, 155);
+    let name = readString(0, 100);
+    if (prefix) name = `${prefix}/${name}`;
+    if (pax.path) name = pax.path;
+
+    let type = null;
+    if (typeflag === '0' || typeflag === '7') type = 'file';
+    else if (typeflag === '5') type = 'directory';
+    else if (typeflag === '2') type = 'symlink';
+
+    return {
+      path: name.replace(/\/+$/, ''),
+      type,
+      typeflag,
+      size: pax.size ? parseInt(pax.size, 10) : readOctal(124, 12),
+      mode: readOctal(100, 8),
+      mtime: new Date(readOctal(136, 12) * 1000),
+      linkname: pax.linkpath || readString(157, 100)
+    };
+  }
+
+  /**
+   * Parse PAX extended header records into a key/value object
+   */
+  _parsePaxRecords(buffer) {
+    const records = {};
+    let pos = 0;
+    while (pos < buffer.length) {
+      const space = buffer.indexOf(0x20, pos);
+      if (space === -1) break;
+      const length = parseInt(buffer.toString('ascii', pos, space), 10);
+      if (!length) break;
+      const body = buffer.toString('utf8', space + 1, pos + length - 1);
+      const equals = body.indexOf('=');
+      if (equals !== -1) {
+        records[body.slice(0, equals)] = body.slice(equals + 1);
+      }
+      pos += length;
+    }
+    return records;
+  }
+
+  /**
+   * Reject entry paths that would escape the extraction root
+   */
+  _assertSafeEntryPath(entryPath) {
+    const normalized = path.posix.normalize(entryPath);
+    if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../') || /^[a-zA-Z]:/.test(normalized)) {
+      throw new Error(`Unsafe path in archive: ${entryPath}`);
+    }
+  }
+}
+
+module.exports = ArchiveOperations;
@@ -0,0 +1,233 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Change groups in the order they are shown
+const GROUPS = [
+  { status: 'changed', label: 'Changed', icon: 'diff-modified', description: 'Modified since the backup' },
+  { status: 'added', label: 'New', icon: 'diff-added', description: 'Not in the backup' },
+  { status: 'deleted', label: 'Deleted', icon: 'diff-removed', description: 'Only in the backup' }
+];
+
+class ChangeGroupItem {
+  constructor(group, entries) {
+    this.group = group;
+    this.entries = entries;
+  }
+
+  getTreeItem() {
+    const item = new vscode.TreeItem(`${this.group.label} (${this.entries.length})`, vscode.TreeItemCollapsibleState.Expanded);
+    item.contextValue = 'changeGroup';
+    item.tooltip = this.group.description;
+    item.iconPath = new vscode.ThemeIcon(this.group.icon);
+    return item;
+  }
+
+  getChildren() {
+    return ChangeFolderItem.buildChildren(this.group.status, this.entries, '');
+  }
+}
+
+class ChangeFolderItem {
+  constructor(status, name, folderPath, entries) {
+    this.status = status;
+    this.name = name;
+    this.folderPath = folderPath;
+    this.entries = entries;
+  }
+
+  /**
+   * Group entries (relative paths with the given prefix) into folder and file items one level below prefix
+   * Folders holding a single folder are collapsed into one "a/b" item, like the SCM view
+   */
+  static buildChildren(status, entries, prefix) {
+    const folders = new Map();
+    const files = [];
+    for (const entry of entries) {
+      const rest = entry.relativePath.slice(prefix.length).split(path.sep);
+      if (rest.length === 1) {
+        files.push(new ChangeFileItem(status, entry));
+      } else {
+        if (!folders.has(rest[0])) folders.set(rest[0], []);
+        folders.get(rest[0]).push(entry);
+      }
+    }
+
+    const folderItems = Array.from(folders.entries()).map(([name, folderEntries]) => {
+      let label = name;
+      let folderPath = prefix + name + path.sep;
+      // Compact chains of single folders
+      for (;;) {
+        const parts = folderEntries.map(entry => entry.relativePath.slice(folderPath.length).split(path.sep));
+        if (parts.some(rest => rest.length === 1) || new Set(parts.map(rest => rest[0])).size !== 1) break;
+        label = path.join(label, parts[0][0]);
+        folderPath += parts[0][0] + path.sep;
+      }
+      return new ChangeFolderItem(status, label, folderPath, folderEntries);
+    });
+
+    folderItems.sort((a, b) => a.name.localeCompare(b.name));
+    files.sort((a, b) => a.name.localeCompare(b.name));
+    return [...folderItems, ...files];
+  }
+
+  getTreeItem() {
+    const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.Expanded);
+    item.contextValue = 'changeFolder';
+    item.iconPath = vscode.ThemeIcon.Folder;
+    item.description = `${this.entries.length}`;
+    return item;
+  }
+
+  getChildren() {
+    return ChangeFolderItem.buildChildren(this.status, this.entries, this.folderPath);
+  }
+}
+
+class ChangeFileItem {
+  constructor(status, entry) {
+    this.status = status;
+    this.entry = entry;
+    this.name = path.basename(entry.relativePath);
+  }
+
+  getTreeItem() {
+    const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+    item.contextValue = `change-${this.status}`;
+    item.tooltip = this.entry.sourcePath || this.entry.relativePath;
+    if (this.entry.sourcePath) {
+      item.resourceUri = vscode.Uri.file(this.entry.sourcePath);
+    } else {
+      item.iconPath = new vscode.ThemeIcon('diff-removed');
+    }
+    item.command = {
+      command: 'backup-vault.openChange',
+      title: 'Open Change',
+      arguments: [this]
+    };
+    return item;
+  }
+
+  getChildren() {
+    return [];
+  }
+}
+
+/**
+ * Tree of the differences between a backup and the current workspace selection
+ * Opening a changed file shows the backed-up copy next to the workspace file in a diff editor
+ */
+class BackupChangesProvider {
+  constructor(fileOps) {
+    this.fileOps = fileOps;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    this.comparison = null;
+    this.encryption = null;
+    this.exportDir = null;
+  }
+
+  /**
+   * Show a comparison result from FileOperations.compareWithSources
+   * encryption unlocks the backup when backed-up copies are opened
+   */
+  setComparison(comparison, encryption = null) {
+    this._removeExports();
+    this.comparison = comparison;
+    this.encryption = encryption;
+    vscode.commands.executeCommand('setContext', 'backupVault.hasComparison', Boolean(comparison));
+    this._onDidChangeTreeData.fire();
+  }
+
+  clear() {
+    this.setComparison(null);
+  }
+
+  getTreeItem(element) {
+    return element.getTreeItem();
+  }
+
+  getChildren(element) {
+    if (element) {
+      return element.getChildren();
+    }
+    if (!this.comparison) {
+      return [];
+    }
+    return GROUPS
+      .filter(group => this.comparison[group.status].length > 0)
+      .map(group => new ChangeGroupItem(group, this.comparison[group.status]));
+  }
+
+  /**
+   * Open a change: a diff of the backed-up copy against the workspace file, or whichever side exists
+   */
+  async openChange(item) {
+    const { status, entry } = item;
+    const backupName = path.basename(this.comparison.backupPath);
+
+    if (this.comparison.symlinks.has(entry.relativePath)) {
+      vscode.window.showInformationMessage(`${entry.relativePath} is a symlink in ${backupName}.`);
+      return;
+    }
+    if (status === 'added') {
+      if (!(await this.fileOps.isTextFile(entry.sourcePath))) {
+        await this._showBinaryMessage(`${entry.relativePath} is a new binary file.`, entry.sourcePath);
+        return;
+      }
+      await vscode.window.showTextDocument(vscode.Uri.file(entry.sourcePath), { preview: true });
+      return;
+    }
+
+    const backupCopy = await this._exportBackupCopy(entry.relativePath);
+    if (status === 'deleted') {
+      if (!(await this.fileOps.isTextFile(backupCopy))) {
+        await this._showBinaryMessage(`${entry.relativePath} is a binary file that only exists in ${backupName}.`, backupCopy);
+        return;
+      }
+      await vscode.window.showTextDocument(vscode.Uri.file(backupCopy), { preview: true });
+      return;
+    }
+    if (!(await this.fileOps.isTextFile(backupCopy)) || !(await this.fileOps.isTextFile(entry.sourcePath))) {
+      await this._showBinaryMessage(`${entry.relativePath} is a binary file that changed since ${backupName}.`, entry.sourcePath);
+      return;
+    }
+    await vscode.commands.executeCommand('vscode.diff', vscode.Uri.file(backupCopy), vscode.Uri.file(entry.sourcePath),
+      `${item.name} (${backupName} ↔ workspace)`);
+  }
+
+  /**
+   * Binary files cannot be shown in an editor; offer to reveal one in the file manager instead
+   */
+  async _showBinaryMessage(message, filePath) {
+    const choice = await vscode.window.showInformationMessage(message, 'Reveal in File Manager');
+    if (choice === 'Reveal in File Manager') {
+      await vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(filePath));
+    }
+  }
+
+  /**
+   * Decode a backed-up file into a temp folder that is removed with the comparison
+   */
+  async _exportBackupCopy(relativePath) {
+    if (!this.exportDir) {
+      this.exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-vault-changes-'));
+    }
+    await this.fileOps.exportBackupFiles(this.comparison.backupPath, [relativePath], this.exportDir, { encryption: this.encryption });
+    return path.join(this.exportDir, relativePath);
+  }
+
+  _removeExports() {
+    if (this.exportDir) {
+      fs.rmSync(this.exportDir, { recursive: true, force: true });
+      this.exportDir = null;
+    }
+  }
+
+  dispose() {
+    this._removeExports();
+  }
+}
+
+module.exports = BackupChangesProvider;
@@ -0,0 +1,87 @@
+const path = require('path');
+const zlib = require('zlib');
+
+// Compression algorithms for folder backups, with the extension added to compressed files
+const ALGORITHMS = {
+  gzip: { label: 'Gzip', extension: '.gz' },
+  brotli: { label: 'Brotli', extension: '.br' }
+};
+
+// Formats that are already compressed and would only grow (or barely shrink) when compressed again
+const SKIP_EXTENSIONS = new Set([
+  '.gz', '.tgz', '.br', '.zip', '.7z', '.rar', '.bz2', '.xz', '.zst', '.jar', '.vsix',
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.heic',
+  '.mp3', '.mp4', '.m4a', '.m4v', '.mov', '.mkv', '.webm', '.ogg', '.flac',
+  '.pdf', '.docx', '.xlsx', '.pptx', '.woff', '.woff2'
+]);
+
+// Keep a compressed file only if it shrinks to at most this fraction of the original
+const DEFAULT_THRESHOLD = 0.9;
+
+class FileCompression {
+  constructor(settings = {}) {
+    this.algorithm = ALGORITHMS[settings.algorithm] ? settings.algorithm : 'none';
+    const threshold = Number(settings.threshold);
+    this.threshold = threshold > 0 && threshold <= 1 ? threshold : DEFAULT_THRESHOLD;
+    this.compressedFiles = new Set(); // destination paths (without extension) stored compressed
+  }
+
+  static get algorithms() {
+    return ALGORITHMS;
+  }
+
+  static get defaultSettings() {
+    return { algorithm: 'none', threshold: DEFAULT_THRESHOLD };
+  }
+
+  static getExtension(algorithm) {
+    return ALGORITHMS[algorithm] ? ALGORITHMS[algorithm].extension : '';
+  }
+
+  static createDecompressStream(algorithm) {
+    if (algorithm === 'gzip') return zlib.createGunzip();
+    if (algorithm === 'brotli') return zlib.createBrotliDecompress();
+    throw new Error(`Unsupported compression: ${algorithm}`);
+  }
+
+  isEnabled() {
+    return this.algorithm !== 'none';
+  }
+
+  /**
+   * Short human readable summary, e.g. "Gzip (≤ 90%)"
+   */
+  describe() {
+    if (!this.isEnabled()) return 'Off';
+    return `${ALGORITHMS[this.algorithm].label} (≤ ${Math.round(this.threshold * 100)}%)`;
+  }
+
+  get extension() {
+    return FileCompression.getExtension(this.algorithm);
+  }
+
+  /**
+   * Whether a file is worth trying to compress (not empty, not an already-compressed format)
+   */
+  shouldCompress(filePath, size) {
+    return this.isEnabled() && size > 0 && !SKIP_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Whether a compressed result saves enough space to be kept
+   */
+  isWorthwhile(originalSize, compressedSize) {
+    return compressedSize <= originalSize * this.threshold;
+  }
+
+  createCompressStream() {
+    if (this.algorithm === 'gzip') {
+      return zlib.createGzip({ level: zlib.constants.Z_BEST_COMPRESSION });
+    }
+    return zlib.createBrotliCompress({
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 }
+    });
+  }
+}
+
+module.exports = FileCompression;
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Encrypted file layout: MAGIC | salt (16) | nonce (12) | ciphertext | GCM auth tag (16)
+const MAGIC = Buffer.from('BVENC1', 'ascii');
+const SALT_LENGTH = 16;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + SALT_LENGTH + NONCE_LENGTH;
+const ALGORITHM = 'aes-256-gcm';
+
+// scrypt cost parameters (N = 2^15) - recorded in the manifest so they can change later
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+class EncryptStream extends Transform {
+  constructor(key, salt) {
+    super();
+    this.nonce = crypto.randomBytes(NONCE_LENGTH);
+    this.salt = salt;
+    this.cipher = crypto.createCipheriv(ALGORITHM, key, this.nonce);
+    this.headerWritten = false;
+  }
+
+  _writeHeader() {
+    if (!this.headerWritten) {
+      this.push(Buffer.concat([MAGIC, this.salt, this.nonce]));
+      this.headerWritten = true;
+    }
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._writeHeader();
+    this.push(this.cipher.update(chunk));
+    callback();
+  }
+
+  _flush(callback) {
+    this._writeHeader();
+    this.push(this.cipher.final());
+    this.push(this.cipher.getAuthTag());
+    callback();
+  }
+}
+
+class DecryptStream extends Transform {
+  constructor(encryption) {
+    super();
+    this.encryption = encryption;
+    this.header = Buffer.alloc(0);
+    this.decipher = null;
+    this.tail = Buffer.alloc(0);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._process(chunk).then(() => callback(), callback);
+  }
+
+  async _process(chunk) {
+    if (!this.decipher) {
+      this.header = Buffer.concat([this.header, chunk]);
+      if (this.header.length < HEADER_LENGTH) return;
+
+      if (!this.header.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Not a Backup Vault encrypted file');
+      }
+      const salt = this.header.subarray(MAGIC.length, MAGIC.length + SALT_LENGTH);
+      const nonce = this.header.subarray(MAGIC.length + SALT_LENGTH, HEADER_LENGTH);
+      const key = await this.encryption.keyForSalt(salt);
+      this.decipher = crypto.createDecipheriv(ALGORITHM, key, nonce);
+      chunk = this.header.subarray(HEADER_LENGTH);
+    }
+
+    // Hold back the last bytes - they may be the auth tag
+    const data = this.tail.length > 0 ? Buffer.concat([this.tail, chunk]) : chunk;
+    const cut = Math.max(0, data.length - TAG_LENGTH);
+    this.tail = data.subarray(cut);
+    if (cut > 0) {
+      this.push(this.decipher.update(data.subarray(0, cut)));
+    }
+  }
+
+  _flush(callback) {
+    try {
+      if (!this.decipher || this.tail.length !== TAG_LENGTH) {
+        throw new Error('encrypted data is truncated');
+      }
+      this.decipher.setAuthTag(this.tail);
+      this.push(this.decipher.final());
+      callback();
+    } catch (error) {
+      callback(new Error(`Decryption failed (wrong passphrase or corrupted file): ${error.message}`));
+    }
+  }
+}
+
+class BackupEncryption {
+  constructor(passphrase, salt, key, params = SCRYPT_PARAMS) {
+    this.passphrase = passphrase;
+    this.salt = salt;
+    this.key = key;
+    this.params = params;
+    this.keys = new Map([[salt.toString('hex'), key]]);
+  }
+
+  /**
+   * Number of bytes encryption adds to every file
+   */
+  static get overhead() {
+    return HEADER_LENGTH + TAG_LENGTH;
+  }
+
+  /**
+   * Set up encryption for a new backup with a fresh random salt
+   */
+  static async create(passphrase) {
+    if (!passphrase) {
+      throw new Error('A passphrase is required for encrypted backups');
+    }
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await BackupEncryption._deriveKey(passphrase, salt, SCRYPT_PARAMS);
+    return new BackupEncryption(passphrase, salt, key, SCRYPT_PARAMS);
+  }
+
+  /**
+   * Unlock an existing backup from its manifest metadata, rejecting a wrong passphrase early
+   */
+  static async fromMetadata(metadata, passphrase) {
+    if (!metadata || metadata.algorithm !== ALGORITHM || metadata.kdf !== 'scrypt') {
+      throw new Error('Unsupported backup encryption format');
+    }
+    const params = { N: metadata.N, r: metadata.r, p: metadata.p };
+    const salt = Buffer.from(metadata.salt, 'hex');
+    const key = await BackupEncryption._deriveKey(passphrase, salt, params);
+
+    const encryption = new BackupEncryption(passphrase, salt, key, params);
+    if (metadata.keyCheck && encryption._keyCheck() !== metadata.keyCheck) {
+      throw new Error('Incorrect passphrase');
+    }
+    return encryption;
+  }
+
+  static _deriveKey(passphrase, salt, params) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(passphrase, salt, KEY_LENGTH, { ...params, maxmem: 128 * params.N * params.r * 2 }, (error, key) => {
+        if (error) reject(error);
+        else resolve(key);
+      });
+    });
+  }
+
+  /**
+   * Check whether a file starts with the encrypted file header
+   */
+  static isEncryptedHeader(buffer) {
+    return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+  }
+
+  /**
+   * Key for a salt found in a file header (files normally share the backup's salt)
+   */
+  async keyForSalt(salt) {
+    const id = salt.toString('hex');
+    if (!this.keys.has(id)) {
+      this.keys.set(id, await BackupEncryption._deriveKey(this.passphrase, salt, this.params));
+    }
+    return this.keys.get(id);
+  }
+
+  /**
+   * Metadata recorded in the backup manifest (never includes the key or passphrase)
+   */
+  metadata() {
+    return {
+      algorithm: ALGORITHM,
+      kdf: 'scrypt',
+      salt: this.salt.toString('hex'),
+      ...this.params,
+      keyCheck: this._keyCheck()
+    };
+  }
+
+  _keyCheck() {
+    return crypto.createHmac('sha256', this.key).update('backup-vault-key-check').digest('hex').slice(0, 32);
+  }
+
+  createEncryptStream() {
+    return new EncryptStream(this.key, this.salt);
+  }
+
+  createDecryptStream() {
+    return new DecryptStream(this);
+  }
+}
+
+module.exports = BackupEncryption;
@@ -2,9 +2,636 @@ const vscode = require('vscode');
 const path = require('path');
 const BackupTreeDataProvider = require('./webview.js');
 const FileOperations = require('./fileOperations.js');
+const ArchiveOperations = require('./archive.js');
+const RetentionPolicy = require('./retention.js');
+const VersionGenerator = require('./versioning.js');
+const BackupScheduler = require('./scheduler.js');
+const SaveSnapshotter = require('./snapshots.js');
+const BackupEncryption = require('./encryption.js');
+const FileCompression = require('./compression.js');
+const WorkerPool = require('./workerPool.js');
+const IgnoreRules = require('./ignore.js');
+const FileFilter = require('./filters.js');
+const BackupChangesProvider = require('./changesView.js');
+
+// Secret storage key of the remembered backup passphrase
+const PASSPHRASE_SECRET = 'backup-vault.passphrase';
+
+// Workspace state key of the copies sends renamed into sending directories, which mirror sends keep
+const RENAMED_COPIES_KEY = 'sendRenamedCopies';
+
+// Labels of the send conflict policies, as shown in the settings and prompts
+const CONFLICT_POLICY_LABELS = {
+  overwrite: 'Overwrite',
+  skip: 'Skip',
+  newer: 'Keep newer',
+  larger: 'Keep larger',
+  rename: 'Rename',
+  ask: 'Ask'
+};
 
 let treeDataProvider = null;
 let fileOps = null;
+let versionGenerator = null;
+let backupScheduler = null;
+let saveSnapshotter = null;
+let changesProvider = null;
+
+/**
+ * Open a read-only style markdown report in a new editor tab
+ */
+async function openReportDocument(content) {
+  const document = await vscode.workspace.openTextDocument({ content, language: 'markdown' });
+  await vscode.window.showTextDocument(document, { preview: true });
+}
+
+/**
+ * Let the user pick an existing backup from the output directory (or browse for a manifest)
+ * Returns the backup path, or undefined when cancelled
+ */
+async function pickBackup(placeHolder) {
+  const outputDir = treeDataProvider ? treeDataProvider.outputDir : '';
+  const backups = outputDir ? await fileOps.listBackups(outputDir) : [];
+  backups.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+  const browseItem = { label: '$(folder-opened) Browse...', description: 'Select a backup manifest file' };
+  const items = backups.map(backup => ({
+    label: backup.name,
+    description: `version ${backup.version}`,
+    detail: backup.createdAt ? new Date(backup.createdAt).toLocaleString() : undefined,
+    backupPath: backup.path
+  }));
+  items.push(browseItem);
+
+  const choice = await vscode.window.showQuickPick(items, { placeHolder });
+  if (!choice) return undefined;
+  if (choice !== browseItem) return choice.backupPath;
+
+  const result = await vscode.window.showOpenDialog({
+    canSelectFiles: true,
+    canSelectFolders: false,
+    canSelectMany: false,
+    defaultUri: outputDir ? vscode.Uri.file(outputDir) : undefined,
+    filters: { 'Backup Manifests': ['json'] },
+    openLabel: 'Select Backup Manifest'
+  });
+  if (!result || result.length === 0) return undefined;
+
+  const manifestPath = result[0].fsPath;
+  if (!manifestPath.endsWith('.manifest.json')) {
+    vscode.window.showErrorMessage('Please select a backup manifest (*.manifest.json).');
+    return undefined;
+  }
+  return manifestPath.slice(0, -'.manifest.json'.length);
+}
+
+/**
+ * Compute the next version for a backup from the versions already in the output directory
+ * Only backups that share the destination naming of this backup are considered
+ */
+async function suggestVersion(settings, shouldPack, strategy) {
+  const existing = await fileOps.listVersions(settings.outputDir, { ...settings, shouldPack });
+  const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+
+  return versionGenerator.suggest(strategy, existing, {
+    cwd: workspaceFolder ? workspaceFolder.uri.fsPath : null
+  });
+}
+
+/**
+ * Human readable byte count (e.g. 12.3 MB)
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Turn FileOperations progress events into updates of a withProgress notification
+ * Shows the current phase, files done / total and bytes copied
+ */
+function createProgressReporter(progress) {
+  const phaseLabels = {
+    scanning: 'Scanning files',
+    copying: 'Copying and hashing',
+    verifying: 'Verifying copies',
+    archiving: 'Writing archive',
+    moving: 'Moving into place',
+    finishing: 'Writing manifest'
+  };
+  let phase = null;
+  let totalFiles = 0;
+  let totalBytes = 0;
+  let filesDone = 0;
+  let bytesDone = 0;
+  let percentReported = 0;
+  let lastReport = 0;
+  const inFlight = new Map(); // source -> bytes copied so far
+
+  const report = (force) => {
+    const now = Date.now();
+    if (!force && now - lastReport < 200) return;
+    lastReport = now;
+
+    let message = phaseLabels[phase] || phase;
+    let increment;
+    if (phase === 'copying' && totalFiles > 0) {
+      message += `: ${filesDone}/${totalFiles} files (${formatBytes(bytesDone)} / ${formatBytes(totalBytes)})`;
+      const percent = totalBytes > 0 ? (bytesDone / totalBytes) * 100 : (filesDone / totalFiles) * 100;
+      if (percent > percentReported) {
+        increment = percent - percentReported;
+        percentReported = percent;
+      }
+    }
+    progress.report({ message, increment });
+  };
+
+  return (event) => {
+    if (event.type === 'phase') {
+      phase = event.phase;
+      if (event.totalFiles !== undefined) {
+        totalFiles = event.totalFiles;
+        totalBytes = event.totalBytes;
+      }
+      report(true);
+    } else if (phase === 'copying' && event.type === 'file_progress') {
+      bytesDone += event.bytesCopied - (inFlight.get(event.source) || 0);
+      inFlight.set(event.source, event.bytesCopied);
+      report(false);
+    } else if (phase === 'copying' && event.type === 'file_complete') {
+      bytesDone += event.bytes - (inFlight.get(event.source) || 0);
+      inFlight.delete(event.source);
+      filesDone++;
+      report(false);
+    }
+  };
+}
+
+/**
+ * Ask for a passphrase; when confirm is set it has to be typed twice to catch typos
+ * Returns undefined when cancelled
+ */
+async function promptPassphrase(prompt, confirm = false) {
+  const passphrase = await vscode.window.showInputBox({
+    prompt,
+    password: true,
+    ignoreFocusOut: true,
+    validateInput: value => value ? null : 'The passphrase cannot be empty'
+  });
+  if (!passphrase || !confirm) return passphrase;
+
+  const repeated = await vscode.window.showInputBox({
+    prompt: 'Repeat the passphrase',
+    password: true,
+    ignoreFocusOut: true,
+    validateInput: value => value === passphrase ? null : 'Passphrases do not match'
+  });
+  return repeated === passphrase ? passphrase : undefined;
+}
+
+/**
+ * Set up encryption for a new backup from the encryption settings
+ * Returns null when encryption is off and undefined when the user cancelled the prompt.
+ * Unattended backups (scheduled, on save) cannot prompt and need a remembered passphrase.
+ */
+async function resolveEncryption(context, settings, interactive) {
+  if (!settings || !settings.enabled) return null;
+
+  let passphrase = settings.rememberPassphrase ? await context.secrets.get(PASSPHRASE_SECRET) : undefined;
+  if (!passphrase) {
+    if (!interactive) {
+      throw new Error('Encryption is on but no passphrase is remembered. Use "Configure Encryption" to remember one.');
+    }
+    passphrase = await promptPassphrase('Passphrase to encrypt this backup with', true);
+    if (!passphrase) return undefined;
+  }
+  return BackupEncryption.create(passphrase);
+}
+
+/**
+ * Unlock an encrypted backup for verifying or restoring
+ * Returns null for unencrypted backups and undefined when the user cancelled the prompt
+ */
+async function unlockBackup(context, backupPath) {
+  const manifest = await fileOps.readManifest(backupPath);
+  if (!manifest || !manifest.encryption) return null;
+
+  // Try the remembered passphrase first - older backups may use a different one
+  const remembered = await context.secrets.get(PASSPHRASE_SECRET);
+  if (remembered) {
+    try {
+      return await BackupEncryption.fromMetadata(manifest.encryption, remembered);
+    } catch (error) {
+      console.log('Remembered passphrase does not unlock this backup, prompting');
+    }
+  }
+
+  const passphrase = await promptPassphrase(`Passphrase for ${path.basename(backupPath)}`);
+  if (!passphrase) return undefined;
+  return BackupEncryption.fromMetadata(manifest.encryption, passphrase);
+}
+
+/**
+ * Format the corrupted/missing/unexpected categories of a hash comparison as markdown
+ */
+function formatVerificationReport(title, result) {
+  const lines = [`# ${title}`, ''];
+  lines.push(`- Backup: \`${result.backupPath}\``);
+  lines.push(`- Files checked: ${result.checkedFiles}`);
+  lines.push(`- Result: ${result.valid ? '✅ Intact' : '❌ Failed'}`);
+
+  const sections = [
+    ['Corrupted files (hash mismatch)', result.mismatchedFiles],
+    ['Missing files', result.missingFiles],
+    ['Unexpected files', result.extraFiles],
+    ['Changed modification time or permissions', result.metadataMismatches]
+  ];
+  for (const [heading, files] of sections) {
+    if (files && files.length > 0) {
+      lines.push('', `## ${heading} (${files.length})`, '');
+      for (const file of files) {
+        lines.push(`- \`${file}\``);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a markdown report of a send: the status of every selected item (verified, sent, failed with the
+ * reason, or cut short by a cancellation) and, after a cancellation, exactly which files arrived
+ */
+function formatSendReport(sendingDir, results) {
+  const lines = [results.cancelled ? '# Send cancelled' : '# Send report', ''];
+  lines.push(`- Sending directory: \`${sendingDir}\``);
+  lines.push(`- Mode: ${results.mode}, verification: ${results.verification}`);
+  lines.push(`- Items sent completely: ${results.successCount}`);
+  lines.push(`- Files sent: ${results.sentFiles.length} (${results.verifiedCount} hash-verified)`);
+  if (results.mode !== 'copy') {
+    lines.push(`- Files skipped as unchanged: ${results.skippedCount}`);
+  }
+  if (results.mode === 'mirror') {
+    lines.push(`- Files deleted: ${results.deletedCount}`);
+  }
+  if (results.cancelled) {
+    lines.push('- Files interrupted mid-copy were deleted; everything listed below is complete.');
+  }
+
+  const statusLabels = {
+    verified: '✅ Verified',
+    sent: '📤 Sent (not re-hashed)',
+    failed: '❌ Failed',
+    partial: '⚠️ Partially sent',
+    unsent: '⏹️ Not sent'
+  };
+  lines.push('', `## Items (${results.items.length})`, '');
+  lines.push('| Item | Status | Copied | Verified | Unchanged | Kept existing | Deleted | Reason |');
+  lines.push('| --- | --- | ---: | ---: | ---: | ---: | ---: | --- |');
+  for (const item of results.items) {
+    const reason = item.reason ? item.reason.replace(/\|/g, '\\|') : '';
+    lines.push(`| \`${path.basename(item.source)}\` | ${statusLabels[item.status]} | ${item.copied} | ${item.verified} | ${item.skipped} | ${item.kept} | ${item.deleted} | ${reason} |`);
+  }
+
+  if (results.conflicts.length > 0) {
+    lines.push('', `## Conflicts (${results.conflicts.length})`, '');
+    for (const conflict of results.conflicts) {
+      const outcome = conflict.resolution === 'rename'
+        ? `copied as \`${path.basename(conflict.target)}\``
+        : conflict.resolution === 'skip' ? 'existing file kept' : 'overwritten';
+      lines.push(`- \`${conflict.destination}\`: ${outcome}`);
+    }
+  }
+
+  if (results.cancelled) {
+    const sections = [
+      ['Partially sent items (only some of their files arrived)', results.partialItems],
+      ['Items not sent', results.unsentItems],
+      ['Files sent', results.sentFiles]
+    ];
+    for (const [heading, entries] of sections) {
+      if (entries && entries.length > 0) {
+        lines.push('', `## ${heading} (${entries.length})`, '');
+        for (const entry of entries) {
+          lines.push(`- \`${entry}\``);
+        }
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * What a conflict resolution does, e.g. "overwritten" or "existing kept"
+ */
+function describeConflictResolution(resolution) {
+  return {
+    overwrite: 'overwritten',
+    skip: 'existing kept',
+    rename: 'copied with a (N) suffix',
+    ask: 'asked when sending'
+  }[resolution];
+}
+
+/**
+ * Build a markdown preview of the files a send would find already in the sending directory
+ */
+function formatSendPreview(plan) {
+  const lines = ['# Send preview', ''];
+  lines.push(`- Sending directory: \`${plan.sendingDir}\``);
+  lines.push(`- Conflict policy: ${CONFLICT_POLICY_LABELS[plan.policy]}`);
+  lines.push(`- Existing files: ${plan.conflicts.length}`);
+
+  lines.push('', '| File | Outcome | Selection | Sending directory |');
+  lines.push('| --- | --- | --- | --- |');
+  const describeFile = (size, mtime) => `${FileFilter.formatSize(size)}, ${mtime.toLocaleString()}`;
+  for (const conflict of plan.conflicts) {
+    lines.push(`| \`${conflict.relativePath}\` | ${describeConflictResolution(conflict.resolution)} | ` +
+      `${describeFile(conflict.sourceSize, conflict.sourceMtime)} | ${describeFile(conflict.destinationSize, conflict.destinationMtime)} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Ask what to do with a file that already exists in the sending directory
+ * Answers chosen "for all" are remembered in applyToAll and returned for the remaining conflicts
+ */
+async function askSendConflict(conflict, applyToAll) {
+  if (applyToAll.resolution) {
+    return applyToAll.resolution;
+  }
+
+  const describeFile = (size, mtime) => `${FileFilter.formatSize(size)}, modified ${mtime.toLocaleString()}`;
+  const choices = [
+    { label: '$(replace) Overwrite', resolution: 'overwrite' },
+    { label: '$(circle-slash) Skip', description: 'Keep the existing file', resolution: 'skip' },
+    { label: '$(files) Rename', description: 'Copy it with a (N) suffix', resolution: 'rename' },
+    { label: '$(replace-all) Overwrite All', resolution: 'overwrite', all: true },
+    { label: '$(circle-slash) Skip All', resolution: 'skip', all: true },
+    { label: '$(files) Rename All', resolution: 'rename', all: true }
+  ];
+  const choice = await vscode.window.showQuickPick(choices, {
+    title: `${path.basename(conflict.destination)} already exists`,
+    placeHolder: `Selection: ${describeFile(conflict.sourceSize, conflict.sourceMtime)} · ` +
+      `Sending directory: ${describeFile(conflict.destinationSize, conflict.destinationMtime)} (Escape cancels the send)`,
+    ignoreFocusOut: true
+  });
+  if (!choice) {
+    return undefined;
+  }
+  if (choice.all) {
+    applyToAll.resolution = choice.resolution;
+  }
+  return choice.resolution;
+}
+
+/**
+ * Build a markdown report of the added, removed and modified files between two backups
+ */
+function formatBackupDiffReport(result) {
+  const fromName = path.basename(result.fromPath);
+  const toName = path.basename(result.toPath);
+  const lines = [`# ${fromName} → ${toName}`, ''];
+  lines.push(`- From: \`${result.fromPath}\` (version ${result.fromManifest.version})`);
+  lines.push(`- To: \`${result.toPath}\` (version ${result.toManifest.version})`);
+  lines.push(`- Unchanged files: ${result.unchangedCount}`);
+
+  const sections = [
+    ['Modified files', result.modified],
+    ['Added files', result.added],
+    ['Removed files', result.removed]
+  ];
+  for (const [heading, files] of sections) {
+    if (files.length > 0) {
+      lines.push('', `## ${heading} (${files.length})`, '');
+      for (const file of files) {
+        lines.push(`- \`${file.split(path.sep).join('/')}\``);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Let the user pick one of the saved backup profiles
+ * Returns the profile name, or undefined when cancelled or when there are no profiles
+ */
+async function pickProfile(placeHolder) {
+  if (treeDataProvider.profiles.length === 0) {
+    vscode.window.showInformationMessage('No backup profiles yet. Use "Backup Vault: New Profile" to save the current selection as one.');
+    return undefined;
+  }
+  const choice = await vscode.window.showQuickPick(
+    treeDataProvider.profiles.map(profile => ({
+      label: profile.name,
+      description: profile.name === treeDataProvider.activeProfile ? 'active' : undefined,
+      detail: `${(profile.sources || []).length} item(s), ${profile.outputFormat || 'folder'} → ${profile.outputDir || 'no output directory'}`
+    })),
+    { placeHolder }
+  );
+  return choice ? choice.label : undefined;
+}
+
+/**
+ * Create a versioned backup of the current selection, or of a named profile's selection and naming
+ */
+async function runBackup(context, profileName = null) {
+  if (!fileOps) {
+    vscode.window.showErrorMessage('Backup Vault is not properly initialized.');
+    return;
+  }
+
+  let settings = context.workspaceState.get('backupSettings', {
+    sources: [],
+    outputDir: '',
+    packFiles: false,
+    folderName: '',
+    suffix: 'v',
+    outputFormat: 'folder'
+  });
+  if (profileName) {
+    const profile = treeDataProvider.getProfile(profileName);
+    if (!profile) {
+      vscode.window.showErrorMessage(`Backup profile '${profileName}' does not exist.`);
+      return;
+    }
+    // The profile's selection and naming replace the current ones; everything else is shared
+    settings = {
+      ...settings,
+      ...profile,
+      sources: profile.sources.filter(source => require('fs').existsSync(source)),
+      deselectedSources: profile.deselectedSources || []
+    };
+  }
+  const outputFormat = settings.outputFormat || 'folder';
+
+  console.log('Backup sources:', settings.sources);
+
+  if (settings.sources.length === 0) {
+    vscode.window.showErrorMessage(profileName
+      ? `Backup profile '${profileName}' has no sources. Switch to it and check items in the Backup Vault panel.`
+      : 'No sources selected. Please check items in the Backup Vault panel.');
+    return;
+  }
+
+  if (!settings.outputDir) {
+    const dirResult = await vscode.window.showOpenDialog({
+      canSelectFiles: false,
+      canSelectFolders: true,
+      canSelectMany: false,
+      openLabel: 'Select Output Directory'
+    });
+    if (dirResult && dirResult.length > 0) {
+      settings.outputDir = dirResult[0].fsPath;
+      if (profileName) {
+        treeDataProvider.updateProfile(profileName, { outputDir: settings.outputDir });
+      } else {
+        context.workspaceState.update('backupSettings', settings);
+      }
+    } else {
+      return;
+    }
+  }
+
+  const shouldPack = (settings.sources.length > 1) || settings.packFiles;
+  const deselected = profileName ? settings.deselectedSources : Array.from(treeDataProvider.deselectedItems);
+
+  // Pre-fill the prompt with the configured version strategy's suggestion
+  const versionStrategy = settings.versionStrategy || 'manual';
+  let suggestedVersion;
+  if (versionStrategy !== 'manual') {
+    try {
+      suggestedVersion = await suggestVersion(settings, shouldPack, versionStrategy);
+    } catch (error) {
+      console.warn('Could not suggest a version:', error);
+      vscode.window.showWarningMessage(`Could not suggest a version: ${error.message}`);
+    }
+  }
+
+  const version = await vscode.window.showInputBox({
+    prompt: suggestedVersion
+      ? `Enter version suffix (suggested by the ${VersionGenerator.strategies[versionStrategy].label} strategy)`
+      : 'Enter version suffix (e.g. 318 or v3.18)',
+    value: suggestedVersion || undefined,
+    ignoreFocusOut: true
+  });
+  if (!version) {
+    vscode.window.showInformationMessage('Backup cancelled (no version).');
+    return;
+  }
+
+  // Check if backup destination already exists
+  let finalName;
+  if (shouldPack) {
+    finalName = `${settings.folderName}${settings.suffix}${version}${ArchiveOperations.getExtension(outputFormat)}`;
+  } else {
+    // Single file - insert suffix before extension (match PowerShell logic)
+    const srcLeaf = path.basename(settings.sources[0]);
+    const namePart = path.parse(srcLeaf).name;
+    const extension = path.parse(srcLeaf).ext;
+    finalName = `${namePart}${settings.suffix}${version}${extension}`;
+  }
+  const dst = path.join(settings.outputDir, finalName);
+
+  console.log('Calculated destination:', dst);
+
+  let forceOverwrite = false;
+  const fs = require('fs');
+  if (fs.existsSync(dst)) {
+    console.log('Showing overwrite prompt for:', dst);
+    const overwrite = await vscode.window.showWarningMessage(
+      `A backup with version '${version}' already exists at:\n${dst}\n\nDo you want to overwrite it?`,
+      { modal: true },
+      'Overwrite',
+      'Cancel'
+    );
+
+    console.log('Overwrite choice:', overwrite);
+
+    if (overwrite !== 'Overwrite') {
+      vscode.window.showInformationMessage('Backup cancelled.');
+      return;
+    }
+    forceOverwrite = true;
+  } else {
+    console.log('No existing backup found, proceeding...');
+  }
+
+  let encryption;
+  try {
+    encryption = await resolveEncryption(context, settings.encryption, true);
+  } catch (error) {
+    vscode.window.showErrorMessage(`Backup failed: ${error.message}`);
+    return;
+  }
+  if (encryption === undefined) {
+    vscode.window.showInformationMessage('Backup cancelled.');
+    return;
+  }
+
+  try {
+    // Run under a cancellable progress notification
+    const result = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: `Backing up ${profileName ? `${profileName} ` : ''}${settings.suffix}${version}${encryption ? ' (encrypted)' : ''}`,
+      cancellable: true
+    }, (progress, token) => fileOps.createBackup({
+      sources: settings.sources,
+      outputDir: settings.outputDir,
+      version: version,
+      packFiles: shouldPack,
+      folderName: settings.folderName,
+      suffix: settings.suffix,
+      format: outputFormat,
+      encryption,
+      compression: settings.compression,
+      verification: settings.verification || 'paranoid',
+      symlinks: settings.symlinks || 'follow',
+      verifyMetadata: Boolean(settings.verifyMetadata),
+      ignore: treeDataProvider.getIgnoreRules(),
+      filter: treeDataProvider.getFileFilter(),
+      force: forceOverwrite,
+      onProgress: createProgressReporter(progress),
+      cancellationToken: token,
+      deselected
+    }));
+
+    if (result.success) {
+      const destName = path.basename(result.destination);
+      vscode.window.showInformationMessage(`✅ Backup completed successfully! Created: ${destName}`);
+      treeDataProvider.refreshHistory();
+
+      // Let the scheduler know this state is already backed up (it watches the current selection, not profiles)
+      if (!profileName && backupScheduler.isActive()) {
+        backupScheduler.recordBackup(settings.sources, deselected, result.destination)
+          .catch(error => console.warn('Could not record backup state for scheduler:', error));
+      }
+
+      // Also show a secondary notification with the full path after a delay
+      setTimeout(() => {
+        vscode.window.showInformationMessage(`📁 Location: ${result.destination}`);
+      }, 1500);
+    } else {
+      vscode.window.showErrorMessage('Backup failed with unknown error.');
+    }
+  } catch (error) {
+    if (FileOperations.isCancellation(error)) {
+      vscode.window.showInformationMessage('Backup cancelled.');
+      return;
+    }
+    console.error('Backup failed:', error);
+    vscode.window.showErrorMessage(`Backup failed: ${error.message}`);
+  }
+}
 
 function activate(context) {
   // Create and register the tree data provider
@@ -14,122 +641,488 @@ function activate(context) {
 
   // Initialize file operations module
   fileOps = new FileOperations();
+  fileOps.setConcurrency(treeDataProvider.concurrency);
+  treeDataProvider.fileOps = fileOps;
+  versionGenerator = new VersionGenerator();
+
+  // Start periodic backups if they were enabled in a previous session
+  const resolveUnattendedEncryption = () => resolveEncryption(context, treeDataProvider.encryption, false);
+  backupScheduler = new BackupScheduler(context, fileOps, versionGenerator, resolveUnattendedEncryption);
+  backupScheduler.configure(treeDataProvider.schedule);
+  context.subscriptions.push(backupScheduler);
+
+  // Snapshot selected files when they are saved (opt-in)
+  saveSnapshotter = new SaveSnapshotter(fileOps, versionGenerator, resolveUnattendedEncryption);
+  saveSnapshotter.configure(treeDataProvider.backupOnSave);
+  context.subscriptions.push(saveSnapshotter);
+
+  // Differences between a backup and the workspace, filled by "Compare Backup with Workspace"
+  changesProvider = new BackupChangesProvider(fileOps);
+  vscode.window.registerTreeDataProvider('backupVaultChanges', changesProvider);
+  context.subscriptions.push(changesProvider);
+
+  /**
+   * Hash a backup and the live selection and show the differences in the changes view
+   */
+  const compareWithWorkspace = async (backupPath) => {
+    const sources = Array.from(treeDataProvider.selectedItems);
+    if (sources.length === 0) {
+      vscode.window.showErrorMessage('No files selected. Please select files in the Backup Vault panel.');
+      return;
+    }
+
+    const backupName = path.basename(backupPath);
+    const encryption = await unlockBackup(context, backupPath);
+    if (encryption === undefined) return;
+
+    const comparison = await vscode.window.withProgress({
+      location: vscode.ProgressLocation.Notification,
+      title: `Comparing ${backupName} with the workspace...`
+    }, () => fileOps.compareWithSources(backupPath, {
+      sources,
+      deselected: Array.from(treeDataProvider.deselectedItems),
+      symlinks: treeDataProvider.symlinks,
+      ignore: treeDataProvider.getIgnoreRules(),
+      filter: treeDataProvider.getFileFilter(),
+      encryption
+    }));
+
+    changesProvider.setComparison(comparison, encryption);
+    const { changed, added, deleted, unchangedCount } = comparison;
+    if (changed.length + added.length + deleted.length === 0) {
+      vscode.window.showInformationMessage(`No drift: all ${unchangedCount} file(s) of the selection match ${backupName}.`);
+    } else {
+      vscode.window.showInformationMessage(`${backupName} vs workspace: ${changed.length} changed, ${added.length} new, ${deleted.length} deleted, ${unchangedCount} unchanged.`);
+      vscode.commands.executeCommand('backupVaultChanges.focus');
+    }
+  };
+
+  // Ignore files change what is selected, so re-read them and redraw the tree
+  const ignoreWatcher = vscode.workspace.createFileSystemWatcher('**/{.backupignore,.gitignore}');
+  const refreshIgnoreRules = () => treeDataProvider.refresh();
+  ignoreWatcher.onDidCreate(refreshIgnoreRules);
+  ignoreWatcher.onDidChange(refreshIgnoreRules);
+  ignoreWatcher.onDidDelete(refreshIgnoreRules);
+  context.subscriptions.push(ignoreWatcher);
 
   // Register commands
   context.subscriptions.push(
     vscode.commands.registerCommand('backup-vault.run', async function () {
-      if (!fileOps) {
-        vscode.window.showErrorMessage('Backup Vault is not properly initialized.');
+      await runBackup(context);
+    }),
+
+    vscode.commands.registerCommand('backup-vault.runProfile', async function (target) {
+      if (!treeDataProvider) return;
+
+      // Accept a profile name, or the profile switcher's active profile from the tree
+      let profileName = typeof target === 'string' ? target : (target && target.activeProfile);
+      if (!profileName) {
+        profileName = await pickProfile('Select a profile to back up');
+        if (!profileName) return;
+      }
+      await runBackup(context, profileName);
+    }),
+
+    vscode.commands.registerCommand('backup-vault.switchProfile', async function () {
+      if (!treeDataProvider) return;
+
+      const describeProfile = profile => {
+        const sources = (profile.sources || []).length;
+        return `${sources} item(s), ${profile.outputFormat || 'folder'} → ${profile.outputDir || 'no output directory'}`;
+      };
+      const picks = treeDataProvider.profiles.map(profile => ({
+        label: `${profile.name === treeDataProvider.activeProfile ? '$(check)' : '$(account)'} ${profile.name}`,
+        description: describeProfile(profile),
+        profileName: profile.name
+      }));
+      picks.push({ label: '', kind: vscode.QuickPickItemKind.Separator });
+      picks.push({ label: '$(add) New Profile from Current Selection...', action: 'new' });
+      if (treeDataProvider.activeProfile) {
+        picks.push({ label: '$(circle-slash) No Profile', description: 'Go back to the selection from before profiles were used', action: 'none' });
+      }
+      if (treeDataProvider.profiles.length > 0) {
+        picks.push({ label: '$(trash) Delete Profile...', action: 'delete' });
+      }
+
+      const choice = await vscode.window.showQuickPick(picks, { placeHolder: 'Switch backup profile' });
+      if (!choice) return;
+      if (choice.action === 'new') {
+        await vscode.commands.executeCommand('backup-vault.newProfile');
+        return;
+      }
+      if (choice.action === 'delete') {
+        await vscode.commands.executeCommand('backup-vault.deleteProfile');
         return;
       }
 
-      const settings = context.workspaceState.get('backupSettings', {
-        sources: [],
-        outputDir: '',
-        packFiles: false,
-        folderName: '',
-        suffix: 'v'
+      const profileName = choice.action === 'none' ? null : choice.profileName;
+      treeDataProvider.switchProfile(profileName);
+      vscode.window.showInformationMessage(profileName ? `Switched to profile '${profileName}'.` : 'No profile active.');
+    }),
+
+    vscode.commands.registerCommand('backup-vault.newProfile', async function () {
+      if (!treeDataProvider) return;
+
+      const name = await vscode.window.showInputBox({
+        prompt: 'Name of the new profile (it starts with the current selection, output directory, suffix, folder name, packing and output format)',
+        placeHolder: 'e.g. source only, assets, full release',
+        validateInput: value => {
+          if (!value || !value.trim()) return 'Profile name cannot be empty';
+          if (treeDataProvider.getProfile(value.trim())) return `A profile named '${value.trim()}' already exists`;
+          return null;
+        }
       });
+      if (!name) return;
+
+      treeDataProvider.createProfile(name);
+      vscode.window.showInformationMessage(`Profile '${name.trim()}' created and active - selection changes are now saved to it.`);
+    }),
+
+    vscode.commands.registerCommand('backup-vault.deleteProfile', async function (target) {
+      if (!treeDataProvider) return;
+
+      let profileName = typeof target === 'string' ? target : (target && target.activeProfile);
+      if (!profileName) {
+        profileName = await pickProfile('Select a profile to delete');
+        if (!profileName) return;
+      }
+
+      const confirm = await vscode.window.showWarningMessage(
+        `Delete profile '${profileName}'? Its backups are not affected.`,
+        { modal: true },
+        'Delete'
+      );
+      if (confirm !== 'Delete') return;
 
-      console.log('Backup sources:', settings.sources);
+      treeDataProvider.deleteProfile(profileName);
+      vscode.window.showInformationMessage(`Profile '${profileName}' deleted.`);
+    }),
 
-      if (settings.sources.length === 0) {
-        vscode.window.showErrorMessage('No sources selected. Please check items in the Backup Vault panel.');
+    vscode.commands.registerCommand('backup-vault.verify', async function (target) {
+      if (!fileOps) {
+        vscode.window.showErrorMessage('Backup Vault is not properly initialized.');
         return;
       }
 
-      if (!settings.outputDir) {
-        const dirResult = await vscode.window.showOpenDialog({
-          canSelectFiles: false,
-          canSelectFolders: true,
-          canSelectMany: false,
-          openLabel: 'Select Output Directory'
-        });
-        if (dirResult && dirResult.length > 0) {
-          settings.outputDir = dirResult[0].fsPath;
-          context.workspaceState.update('backupSettings', settings);
-        } else {
+      // Accept a backup path (or an item carrying one) so other views can reuse this command
+      let backupPath = typeof target === 'string' ? target : (target && target.backupPath);
+      if (!backupPath) {
+        backupPath = await pickBackup('Select a backup to verify');
+        if (!backupPath) return;
+      }
+
+      const backupName = path.basename(backupPath);
+      try {
+        const encryption = await unlockBackup(context, backupPath);
+        if (encryption === undefined) return;
+
+        const result = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: `Verifying ${backupName}...`
+        }, () => fileOps.verifyBackup(backupPath, { encryption, verifyMetadata: treeDataProvider ? treeDataProvider.verifyMetadata : false }));
+
+        if (result.valid) {
+          vscode.window.showInformationMessage(`✅ Backup verified: all ${result.checkedFiles} file(s) in ${backupName} are intact.`);
           return;
         }
+
+        const choice = await vscode.window.showWarningMessage(
+          `❌ Backup ${backupName} failed verification: ${result.mismatchedFiles.length} corrupted, ${result.missingFiles.length} missing, ${result.extraFiles.length} unexpected` +
+          (result.metadataMismatches.length > 0 ? `, ${result.metadataMismatches.length} with changed metadata.` : '.'),
+          'Show Details'
+        );
+        if (choice === 'Show Details') {
+          await openReportDocument(formatVerificationReport(`Verification report: ${backupName}`, result));
+        }
+      } catch (error) {
+        console.error('Backup verification failed:', error);
+        vscode.window.showErrorMessage(`Verification failed: ${error.message}`);
       }
+    }),
 
-      const version = await vscode.window.showInputBox({
-        prompt: 'Enter version suffix (e.g. 318 or v3.18)',
-        ignoreFocusOut: true
-      });
-      if (!version) {
-        vscode.window.showInformationMessage('Backup cancelled (no version).');
+    vscode.commands.registerCommand('backup-vault.restore', async function (target) {
+      if (!fileOps || !treeDataProvider) {
+        vscode.window.showErrorMessage('Backup Vault is not properly initialized.');
         return;
       }
 
-      // Check if backup destination already exists
-      const shouldPack = (settings.sources.length > 1) || settings.packFiles;
-      let finalName;
-      if (shouldPack) {
-        finalName = `${settings.folderName}${settings.suffix}${version}`;
-      } else {
-        // Single file - insert suffix before extension (match PowerShell logic)
-        const srcLeaf = path.basename(settings.sources[0]);
-        const namePart = path.parse(srcLeaf).name;
-        const extension = path.parse(srcLeaf).ext;
-        finalName = `${namePart}${settings.suffix}${version}${extension}`;
+      let backupPath = typeof target === 'string' ? target : (target && target.backupPath);
+      if (!backupPath) {
+        backupPath = await pickBackup('Select a backup version to restore');
+        if (!backupPath) return;
       }
-      const dst = path.join(settings.outputDir, finalName);
+      const backupName = path.basename(backupPath);
+
+      try {
+        const encryption = await unlockBackup(context, backupPath);
+        if (encryption === undefined) return;
 
-      console.log('Calculated destination:', dst);
+        const plan = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: `Comparing ${backupName} with the workspace...`
+        }, () => fileOps.planRestore(backupPath, { encryption }));
 
-      let forceOverwrite = false;
-      const fs = require('fs');
-      if (fs.existsSync(dst)) {
-        console.log('Showing overwrite prompt for:', dst);
-        const overwrite = await vscode.window.showWarningMessage(
-          `A backup with version '${version}' already exists at:\n${dst}\n\nDo you want to overwrite it?`,
+        const changes = plan.entries.filter(entry => entry.status !== 'unchanged');
+        const unchangedCount = plan.entries.length - changes.length;
+        if (changes.length === 0) {
+          vscode.window.showInformationMessage(`Nothing to restore: all ${unchangedCount} file(s) in ${backupName} match the workspace.`);
+          return;
+        }
+
+        // Show what would happen and let the user narrow the restore down
+        const picks = await vscode.window.showQuickPick(
+          changes.map(entry => ({
+            label: `${entry.status === 'overwrite' ? '$(diff-modified)' : '$(diff-added)'} ${entry.relativePath}`,
+            description: entry.status === 'overwrite' ? 'overwrite' : 'add',
+            detail: entry.targetPath,
+            picked: true,
+            entry
+          })),
+          {
+            canPickMany: true,
+            placeHolder: `Select files to restore from ${backupName} (${unchangedCount} unchanged file(s) will be left alone)`
+          }
+        );
+        if (!picks || picks.length === 0) {
+          vscode.window.showInformationMessage('Restore cancelled.');
+          return;
+        }
+
+        const overwriteCount = picks.filter(pick => pick.entry.status === 'overwrite').length;
+        const confirm = await vscode.window.showWarningMessage(
+          `Restore ${picks.length} file(s) from ${backupName}?` +
+          (overwriteCount > 0 ? `\n\n${overwriteCount} existing file(s) will be overwritten. A safety backup of them will be created in the output directory first.` : ''),
           { modal: true },
-          'Overwrite',
+          'Restore',
           'Cancel'
         );
+        if (confirm !== 'Restore') {
+          vscode.window.showInformationMessage('Restore cancelled.');
+          return;
+        }
 
-        console.log('Overwrite choice:', overwrite);
+        const result = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: `Restoring ${picks.length} file(s) from ${backupName}...`
+        }, () => fileOps.restoreBackup({
+          plan,
+          relativePaths: picks.map(pick => pick.entry.relativePath)
+        }));
 
-        if (overwrite !== 'Overwrite') {
-          vscode.window.showInformationMessage('Backup cancelled.');
-          return;
+        vscode.window.showInformationMessage(`✅ Restored ${result.restoredCount} file(s) from ${backupName}.`);
+        if (result.safetyBackup) {
+          setTimeout(() => {
+            vscode.window.showInformationMessage(`🛟 Safety backup of overwritten files: ${result.safetyBackup}`);
+          }, 1500);
         }
-        forceOverwrite = true;
-      } else {
-        console.log('No existing backup found, proceeding...');
+        treeDataProvider.refresh();
+      } catch (error) {
+        console.error('Restore failed:', error);
+        vscode.window.showErrorMessage(`Restore failed: ${error.message}`);
       }
+    }),
 
-      // Show starting notification
-      vscode.window.showInformationMessage(`Backup started (version: ${settings.suffix}${version}).`);
+    vscode.commands.registerCommand('backup-vault.openBackup', async function (target) {
+      const backupPath = typeof target === 'string' ? target : (target && target.backupPath);
+      if (!backupPath || !fileOps) return;
 
       try {
-        // Use the new FileOperations module
-        const result = await fileOps.createBackup({
-          sources: settings.sources,
-          outputDir: settings.outputDir,
-          version: version,
-          packFiles: shouldPack,
-          folderName: settings.folderName,
-          suffix: settings.suffix,
-          force: forceOverwrite,
-          deselected: Array.from(treeDataProvider.deselectedItems)
-        });
+        const stat = await require('fs').promises.stat(backupPath);
+        const manifest = await fileOps.readManifest(backupPath);
+        const uri = vscode.Uri.file(backupPath);
+        if (stat.isDirectory()) {
+          // Folder backups open in a new window so the current workspace stays untouched
+          await vscode.commands.executeCommand('vscode.openFolder', uri, { forceNewWindow: true });
+        } else if (ArchiveOperations.detectFormat(backupPath) || (manifest && manifest.encryption)) {
+          // Archives and encrypted files are left to the operating system
+          await vscode.env.openExternal(uri);
+        } else {
+          await vscode.window.showTextDocument(uri, { preview: true });
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(`Could not open backup: ${error.message}`);
+      }
+    }),
 
-        if (result.success) {
-          const destName = path.basename(result.destination);
-          vscode.window.showInformationMessage(`✅ Backup completed successfully! Created: ${destName}`);
+    vscode.commands.registerCommand('backup-vault.revealBackup', async function (target) {
+      const backupPath = typeof target === 'string' ? target : (target && target.backupPath);
+      if (!backupPath) return;
+      await vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(backupPath));
+    }),
 
-          // Also show a secondary notification with the full path after a delay
-          setTimeout(() => {
-            vscode.window.showInformationMessage(`📁 Location: ${result.destination}`);
-          }, 1500);
-        } else {
-          vscode.window.showErrorMessage('Backup failed with unknown error.');
+    vscode.commands.registerCommand('backup-vault.deleteBackup', async function (target) {
+      if (!fileOps || !treeDataProvider) {
+        vscode.window.showErrorMessage('Backup Vault is not properly initialized.');
+        return;
+      }
+
+      let backupPath = typeof target === 'string' ? target : (target && target.backupPath);
+      if (!backupPath) {
+        backupPath = await pickBackup('Select a backup to delete');
+        if (!backupPath) return;
+      }
+      const backupName = path.basename(backupPath);
+
+      const confirm = await vscode.window.showWarningMessage(
+        `Permanently delete backup ${backupName} and its manifest?`,
+        { modal: true },
+        'Delete'
+      );
+      if (confirm !== 'Delete') return;
+
+      try {
+        await fileOps.deleteBackup(backupPath);
+        vscode.window.showInformationMessage(`🗑️ Deleted backup ${backupName}.`);
+      } catch (error) {
+        console.error('Delete backup failed:', error);
+        vscode.window.showErrorMessage(`Could not delete ${backupName}: ${error.message}`);
+      }
+      treeDataProvider.refreshHistory();
+    }),
+
+    vscode.commands.registerCommand('backup-vault.compareBackups', async function (target) {
+      if (!fileOps) {
+        vscode.window.showErrorMessage('Backup Vault is not properly initialized.');
+        return;
+      }
+
+      let firstPath = typeof target === 'string' ? target : (target && target.backupPath);
+      if (!firstPath) {
+        firstPath = await pickBackup('Select the first backup to compare');
+        if (!firstPath) return;
+      }
+      const secondPath = await pickBackup(`Compare ${path.basename(firstPath)} with...`);
+      if (!secondPath) return;
+      if (secondPath === firstPath) {
+        vscode.window.showWarningMessage('Pick two different backups to compare.');
+        return;
+      }
+
+      try {
+        // Older version on the left, like a regular diff
+        const firstManifest = await fileOps.readManifest(firstPath);
+        const secondManifest = await fileOps.readManifest(secondPath);
+        const swap = firstManifest && secondManifest &&
+          (VersionGenerator.compare(firstManifest.version, secondManifest.version) ||
+            (firstManifest.createdAt || '').localeCompare(secondManifest.createdAt || '')) > 0;
+        const [fromPath, toPath] = swap ? [secondPath, firstPath] : [firstPath, secondPath];
+        const fromName = path.basename(fromPath);
+        const toName = path.basename(toPath);
+
+        const fromEncryption = await unlockBackup(context, fromPath);
+        if (fromEncryption === undefined) return;
+        const toEncryption = await unlockBackup(context, toPath);
+        if (toEncryption === undefined) return;
+
+        const result = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: `Comparing ${fromName} with ${toName}...`
+        }, () => fileOps.compareBackups(fromPath, toPath, { fromEncryption, toEncryption }));
+
+        const changeCount = result.modified.length + result.added.length + result.removed.length;
+        if (changeCount === 0) {
+          vscode.window.showInformationMessage(`No differences: all ${result.unchangedCount} file(s) in ${fromName} and ${toName} are identical.`);
+          return;
+        }
+
+        // Decoded copies for the diff editor live in a temp folder removed when the extension shuts down
+        const fsSync = require('fs');
+        const diffDir = fsSync.mkdtempSync(path.join(require('os').tmpdir(), 'backup-vault-diff-'));
+        context.subscriptions.push({ dispose: () => fsSync.rmSync(diffDir, { recursive: true, force: true }) });
+        const exportFile = async (backupPath, encryption, side, relativePath) => {
+          const destDir = path.join(diffDir, side);
+          await fileOps.exportBackupFiles(backupPath, [relativePath], destDir, { encryption });
+          return path.join(destDir, relativePath);
+        };
+
+        const reportItem = { label: '$(output) Show Report', description: `${result.unchangedCount} unchanged` };
+        const items = [
+          reportItem,
+          ...result.modified.map(file => ({ label: `$(diff-modified) ${file}`, description: 'modified', file, status: 'modified' })),
+          ...result.added.map(file => ({ label: `$(diff-added) ${file}`, description: 'added', file, status: 'added' })),
+          ...result.removed.map(file => ({ label: `$(diff-removed) ${file}`, description: 'removed', file, status: 'removed' }))
+        ];
+        const placeHolder = `${fromName} → ${toName}: ${result.modified.length} modified, ${result.added.length} added, ${result.removed.length} removed - pick a file to view`;
+
+        // Keep offering the list so several files can be diffed in a row
+        let choice;
+        while ((choice = await vscode.window.showQuickPick(items, { placeHolder })) !== undefined) {
+          if (choice === reportItem) {
+            await openReportDocument(formatBackupDiffReport(result));
+            continue;
+          }
+          if (result.symlinks.has(choice.file)) {
+            vscode.window.showInformationMessage(`${choice.file} is a symlink - see the report for its status.`);
+            continue;
+          }
+
+          if (choice.status === 'modified') {
+            const left = await exportFile(fromPath, fromEncryption, 'from', choice.file);
+            const right = await exportFile(toPath, toEncryption, 'to', choice.file);
+            if (!(await fileOps.isTextFile(left)) || !(await fileOps.isTextFile(right))) {
+              vscode.window.showInformationMessage(`${choice.file} is a binary file and cannot be shown in a diff editor.`);
+              continue;
+            }
+            await vscode.commands.executeCommand('vscode.diff', vscode.Uri.file(left), vscode.Uri.file(right),
+              `${path.basename(choice.file)} (${fromName} ↔ ${toName})`, { preview: false });
+          } else {
+            const [backupPath, encryption, side] = choice.status === 'added'
+              ? [toPath, toEncryption, 'to']
+              : [fromPath, fromEncryption, 'from'];
+            const filePath = await exportFile(backupPath, encryption, side, choice.file);
+            if (!(await fileOps.isTextFile(filePath))) {
+              vscode.window.showInformationMessage(`${choice.file} is a binary file.`);
+              continue;
+            }
+            await vscode.window.showTextDocument(vscode.Uri.file(filePath), { preview: false });
+          }
         }
       } catch (error) {
-        console.error('Backup failed:', error);
-        vscode.window.showErrorMessage(`Backup failed: ${error.message}`);
+        console.error('Backup comparison failed:', error);
+        vscode.window.showErrorMessage(`Comparison failed: ${error.message}`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.compareWithWorkspace', async function (target) {
+      if (!fileOps || !treeDataProvider) {
+        vscode.window.showErrorMessage('Backup Vault is not properly initialized.');
+        return;
+      }
+
+      let backupPath = typeof target === 'string' ? target : (target && target.backupPath);
+      if (!backupPath) {
+        backupPath = await pickBackup('Select a backup to compare with the workspace');
+        if (!backupPath) return;
+      }
+
+      try {
+        await compareWithWorkspace(backupPath);
+      } catch (error) {
+        console.error('Workspace comparison failed:', error);
+        vscode.window.showErrorMessage(`Comparison failed: ${error.message}`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.refreshComparison', async function () {
+      if (!changesProvider.comparison) return;
+      try {
+        await compareWithWorkspace(changesProvider.comparison.backupPath);
+      } catch (error) {
+        console.error('Workspace comparison failed:', error);
+        vscode.window.showErrorMessage(`Comparison failed: ${error.message}`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.clearComparison', function () {
+      changesProvider.clear();
+    }),
+
+    vscode.commands.registerCommand('backup-vault.openChange', async function (item) {
+      if (!item || !changesProvider.comparison) return;
+      try {
+        await changesProvider.openChange(item);
+      } catch (error) {
+        vscode.window.showErrorMessage(`Could not open ${item.name}: ${error.message}`);
       }
     }),
 
@@ -231,6 +1224,517 @@ function activate(context) {
       }
     }),
 
+    vscode.commands.registerCommand('backup-vault.selectFormat', async function () {
+      if (!treeDataProvider) return;
+
+      const formats = [
+        { label: 'Folder', description: 'Plain folder copy', value: 'folder' },
+        { label: 'ZIP', description: '.zip archive', value: 'zip' },
+        { label: 'TAR', description: '.tar archive', value: 'tar' },
+        { label: 'TAR.GZ', description: '.tar.gz compressed archive', value: 'tar.gz' }
+      ];
+      const result = await vscode.window.showQuickPick(
+        formats.map(format => ({ ...format, picked: format.value === treeDataProvider.outputFormat })),
+        { placeHolder: 'Select output format for packed backups' }
+      );
+
+      if (result) {
+        treeDataProvider.outputFormat = result.value;
+        treeDataProvider.saveSettings();
+        treeDataProvider.refresh();
+        vscode.window.showInformationMessage(`Output format set to ${result.label}!`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.selectCompression', async function () {
+      if (!treeDataProvider) return;
+
+      const current = new FileCompression(treeDataProvider.compression);
+      const options = [
+        { label: 'Off', description: 'Store exact copies', value: 'none' },
+        ...Object.entries(FileCompression.algorithms).map(([value, algorithm]) => ({
+          label: algorithm.label,
+          description: `Store files as *${algorithm.extension}`,
+          value
+        }))
+      ];
+      const result = await vscode.window.showQuickPick(
+        options.map(option => ({ ...option, picked: option.value === current.algorithm })),
+        { placeHolder: 'Compress individual files in folder backups (archives are left as they are)' }
+      );
+      if (!result) return;
+
+      let threshold = current.threshold;
+      if (result.value !== 'none') {
+        const percent = await vscode.window.showInputBox({
+          prompt: 'Keep a compressed file only if it shrinks to at most this percentage of its original size',
+          value: String(Math.round(current.threshold * 100)),
+          validateInput: value => /^\d+$/.test(value.trim()) && parseInt(value, 10) > 0 && parseInt(value, 10) <= 100
+            ? null
+            : 'Enter a whole number between 1 and 100'
+        });
+        if (percent === undefined) return;
+        threshold = parseInt(percent.trim(), 10) / 100;
+      }
+
+      treeDataProvider.compression = { algorithm: result.value, threshold };
+      treeDataProvider.saveSettings();
+      treeDataProvider.refresh();
+      vscode.window.showInformationMessage(`File compression set to ${new FileCompression(treeDataProvider.compression).describe()}!`);
+    }),
+
+    vscode.commands.registerCommand('backup-vault.selectVerification', async function () {
+      if (!treeDataProvider) return;
+
+      const levels = [
+        { label: 'Paranoid', description: 'Re-read and re-hash every copy after writing it', value: 'paranoid' },
+        { label: 'Fast', description: 'Trust the hashes taken while copying (about half the disk reads)', value: 'fast' }
+      ];
+      const result = await vscode.window.showQuickPick(
+        levels.map(level => ({ ...level, picked: level.value === treeDataProvider.verification })),
+        { placeHolder: 'How thoroughly should new backups be verified?' }
+      );
+
+      if (result) {
+        treeDataProvider.verification = result.value;
+        treeDataProvider.saveSettings();
+        treeDataProvider.refresh();
+        vscode.window.showInformationMessage(`Verification level set to ${result.label}!`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.toggleVerifyMetadata', async function () {
+      if (!treeDataProvider) return;
+
+      treeDataProvider.verifyMetadata = !treeDataProvider.verifyMetadata;
+      treeDataProvider.saveSettings();
+      treeDataProvider.refresh();
+      vscode.window.showInformationMessage(`Metadata verification ${treeDataProvider.verifyMetadata ? 'enabled' : 'disabled'}!`);
+    }),
+
+    vscode.commands.registerCommand('backup-vault.selectSymlinkPolicy', async function () {
+      if (!treeDataProvider) return;
+
+      const policies = [
+        { label: 'Follow', description: 'Copy what links point to; links looping back to a parent folder are skipped', value: 'follow' },
+        { label: 'Preserve as links', description: 'Store links as links, verified by their target path', value: 'preserve' },
+        { label: 'Skip', description: 'Leave symlinks out of backups and sends', value: 'skip' }
+      ];
+      const result = await vscode.window.showQuickPick(
+        policies.map(policy => ({ ...policy, picked: policy.value === treeDataProvider.symlinks })),
+        { placeHolder: 'How should symlinks inside selected folders be handled?' }
+      );
+
+      if (result) {
+        treeDataProvider.symlinks = result.value;
+        treeDataProvider.saveSettings();
+        treeDataProvider.refresh();
+        vscode.window.showInformationMessage(`Symlink handling set to ${result.label}!`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.toggleGitignore', async function () {
+      if (!treeDataProvider) return;
+
+      treeDataProvider.honorGitignore = !treeDataProvider.honorGitignore;
+      treeDataProvider.saveSettings();
+      treeDataProvider.refresh();
+      vscode.window.showInformationMessage(`.gitignore patterns ${treeDataProvider.honorGitignore ? 'will' : 'will no longer'} be left out of backups!`);
+    }),
+
+    vscode.commands.registerCommand('backup-vault.editBackupignore', async function () {
+      const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+      if (!workspaceFolder) {
+        vscode.window.showErrorMessage('Open a workspace folder to edit its .backupignore file.');
+        return;
+      }
+
+      // Start a missing file with a short explanation of the syntax
+      const fs = require('fs').promises;
+      const ignorePath = path.join(workspaceFolder.uri.fsPath, IgnoreRules.fileName);
+      try {
+        await fs.access(ignorePath);
+      } catch (error) {
+        await fs.writeFile(ignorePath, [
+          '# Files and folders left out of Backup Vault backups and sends (gitignore syntax)',
+          '# e.g. node_modules/, *.log, /build, !keep.log',
+          ''
+        ].join('\n'), 'utf8');
+      }
+      const document = await vscode.workspace.openTextDocument(ignorePath);
+      await vscode.window.showTextDocument(document);
+    }),
+
+    vscode.commands.registerCommand('backup-vault.selectSendMode', async function () {
+      if (!treeDataProvider) return;
+
+      const modes = [
+        { label: 'Copy', description: 'Copy every file, overwriting what is in the sending directory', value: 'copy' },
+        { label: 'Sync', description: 'Only copy files whose size, modification time or content differ', value: 'sync' },
+        { label: 'Mirror', description: 'Sync, and delete files inside sent folders that are no longer in the source', value: 'mirror' }
+      ];
+      const result = await vscode.window.showQuickPick(
+        modes.map(mode => ({ ...mode, picked: mode.value === treeDataProvider.sendMode })),
+        { placeHolder: 'How should Send Files update the sending directory?' }
+      );
+
+      if (result) {
+        treeDataProvider.sendMode = result.value;
+        treeDataProvider.saveSettings();
+        treeDataProvider.refresh();
+        vscode.window.showInformationMessage(`Send mode set to ${result.label}!`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.selectConflictPolicy', async function () {
+      if (!treeDataProvider) return;
+
+      const policies = [
+        { value: 'overwrite', description: 'Replace existing files' },
+        { value: 'skip', description: 'Keep existing files' },
+        { value: 'newer', description: 'Replace an existing file only if the selected one was modified later' },
+        { value: 'larger', description: 'Replace an existing file only if the selected one is bigger' },
+        { value: 'rename', description: 'Keep existing files and copy the selected ones as "name (1).ext"' },
+        { value: 'ask', description: 'Ask for every existing file, with an option to apply the answer to all' }
+      ];
+      const result = await vscode.window.showQuickPick(
+        policies.map(policy => ({
+          ...policy,
+          label: CONFLICT_POLICY_LABELS[policy.value],
+          picked: policy.value === treeDataProvider.conflictPolicy
+        })),
+        { placeHolder: 'What should Send Files do with files that already exist in the sending directory?' }
+      );
+
+      if (result) {
+        treeDataProvider.conflictPolicy = result.value;
+        treeDataProvider.saveSettings();
+        treeDataProvider.refresh();
+        vscode.window.showInformationMessage(`Send conflict policy set to ${result.label}!`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.selectVersionStrategy', async function () {
+      if (!treeDataProvider) return;
+
+      const strategies = VersionGenerator.strategies;
+      const result = await vscode.window.showQuickPick(
+        Object.keys(strategies).map(key => ({
+          label: strategies[key].label,
+          description: key === treeDataProvider.versionStrategy ? '(current)' : undefined,
+          detail: strategies[key].description,
+          value: key
+        })),
+        { placeHolder: 'Select how backup versions are generated' }
+      );
+
+      if (result) {
+        treeDataProvider.versionStrategy = result.value;
+        treeDataProvider.saveSettings();
+        treeDataProvider.refresh();
+        vscode.window.showInformationMessage(`Version strategy set to ${result.label}!`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.configureSchedule', async function () {
+      if (!treeDataProvider) return;
+
+      const current = treeDataProvider.schedule;
+      const options = [
+        { label: 'Off', minutes: 0 },
+        { label: 'Every 15 minutes', minutes: 15 },
+        { label: 'Every 30 minutes', minutes: 30 },
+        { label: 'Every hour', minutes: 60 },
+        { label: 'Every 2 hours', minutes: 120 },
+        { label: 'Every 4 hours', minutes: 240 },
+        { label: 'Custom interval...', minutes: -1 }
+      ];
+      const pick = await vscode.window.showQuickPick(
+        options.map(option => ({
+          ...option,
+          description: (current.enabled ? current.intervalMinutes : 0) === option.minutes ? '(current)' : undefined
+        })),
+        { placeHolder: 'Run backups of the current selection automatically while this workspace is open' }
+      );
+      if (!pick) return;
+
+      let minutes = pick.minutes;
+      if (minutes === -1) {
+        const result = await vscode.window.showInputBox({
+          prompt: 'Backup interval in minutes',
+          value: String(current.intervalMinutes || 60),
+          validateInput: value => /^\d+$/.test(value.trim()) && parseInt(value, 10) > 0 ? null : 'Enter a positive whole number of minutes'
+        });
+        if (result === undefined) return;
+        minutes = parseInt(result.trim(), 10);
+      }
+
+      treeDataProvider.schedule = minutes > 0
+        ? { enabled: true, intervalMinutes: minutes }
+        : { enabled: false, intervalMinutes: current.intervalMinutes };
+      treeDataProvider.saveSettings();
+      treeDataProvider.refresh();
+      backupScheduler.configure(treeDataProvider.schedule);
+
+      vscode.window.showInformationMessage(minutes > 0
+        ? `Scheduled backups enabled (every ${minutes} minutes). Runs are skipped when nothing has changed.`
+        : 'Scheduled backups disabled.');
+    }),
+
+    vscode.commands.registerCommand('backup-vault.toggleBackupOnSave', async function () {
+      if (!treeDataProvider) return;
+
+      const enabled = !treeDataProvider.backupOnSave.enabled;
+      if (enabled && !treeDataProvider.outputDir) {
+        vscode.window.showErrorMessage('Output directory not set. Please configure the output directory in the Backup Vault panel.');
+        return;
+      }
+
+      treeDataProvider.backupOnSave = { ...treeDataProvider.backupOnSave, enabled };
+      treeDataProvider.saveSettings();
+      treeDataProvider.refresh();
+      saveSnapshotter.configure(treeDataProvider.backupOnSave);
+
+      vscode.window.showInformationMessage(enabled
+        ? 'Backup on save enabled! Saved files in the selection are snapshotted to the .history folder of the output directory.'
+        : 'Backup on save disabled!');
+    }),
+
+    vscode.commands.registerCommand('backup-vault.configureEncryption', async function () {
+      if (!treeDataProvider) return;
+
+      const current = treeDataProvider.encryption;
+      const currentMode = !current.enabled ? 'off' : (current.rememberPassphrase ? 'remember' : 'prompt');
+      const options = [
+        { label: 'Off', mode: 'off', detail: 'Store backups unencrypted' },
+        { label: 'On - ask for the passphrase', mode: 'prompt', detail: 'Prompt for the passphrase on every backup. Scheduled and on-save backups will fail.' },
+        { label: 'On - remember the passphrase', mode: 'remember', detail: 'Keep the passphrase in VS Code secret storage so unattended backups can encrypt too' }
+      ];
+      const pick = await vscode.window.showQuickPick(
+        options.map(option => ({ ...option, description: option.mode === currentMode ? '(current)' : undefined })),
+        { placeHolder: 'Encrypt backups with AES-256-GCM using a passphrase' }
+      );
+      if (!pick) return;
+
+      if (pick.mode === 'remember') {
+        const passphrase = await promptPassphrase('Passphrase to remember for encrypted backups', true);
+        if (!passphrase) return;
+        await context.secrets.store(PASSPHRASE_SECRET, passphrase);
+      } else {
+        await context.secrets.delete(PASSPHRASE_SECRET);
+      }
+
+      treeDataProvider.encryption = { enabled: pick.mode !== 'off', rememberPassphrase: pick.mode === 'remember' };
+      treeDataProvider.saveSettings();
+      treeDataProvider.refresh();
+
+      vscode.window.showInformationMessage(pick.mode === 'off'
+        ? 'Backup encryption disabled! Existing encrypted backups still need their passphrase to verify or restore.'
+        : 'Backup encryption enabled! Keep the passphrase safe - encrypted backups cannot be restored without it.');
+    }),
+
+    vscode.commands.registerCommand('backup-vault.editConcurrency', async function () {
+      if (!treeDataProvider) return;
+
+      const result = await vscode.window.showInputBox({
+        prompt: `Number of files to copy or hash in parallel (1-${WorkerPool.maxSize}). Lower it for slow network drives.`,
+        value: String(treeDataProvider.concurrency),
+        validateInput: value => {
+          const number = parseInt(value.trim(), 10);
+          return /^\d+$/.test(value.trim()) && number >= 1 && number <= WorkerPool.maxSize
+            ? null
+            : `Enter a whole number between 1 and ${WorkerPool.maxSize}`;
+        }
+      });
+      if (result === undefined) return;
+
+      treeDataProvider.concurrency = parseInt(result.trim(), 10);
+      treeDataProvider.saveSettings();
+      treeDataProvider.refresh();
+      fileOps.setConcurrency(treeDataProvider.concurrency);
+      vscode.window.showInformationMessage(`Parallel file operations set to ${treeDataProvider.concurrency}!`);
+    }),
+
+    vscode.commands.registerCommand('backup-vault.editRetention', async function () {
+      if (!treeDataProvider) return;
+
+      const rules = new RetentionPolicy(treeDataProvider.retention).rules;
+      const labels = {
+        keepLast: 'Keep last N backups',
+        keepDaily: 'Keep one backup per day for N days',
+        keepWeekly: 'Keep one backup per week for N weeks',
+        keepMonthly: 'Keep one backup per month for N months',
+        maxAgeDays: 'Prune backups older than N days'
+      };
+
+      const pick = await vscode.window.showQuickPick(
+        Object.keys(labels).map(key => ({
+          label: labels[key],
+          description: rules[key] ? String(rules[key]) : 'off',
+          key
+        })),
+        { placeHolder: `Retention policy: ${new RetentionPolicy(rules).describe()} - select a rule to edit` }
+      );
+      if (!pick) return;
+
+      const result = await vscode.window.showInputBox({
+        prompt: `${labels[pick.key]} (0 to disable)`,
+        value: String(rules[pick.key]),
+        validateInput: value => /^\d+$/.test(value.trim()) ? null : 'Enter a whole number (0 to disable)'
+      });
+
+      if (result !== undefined) {
+        rules[pick.key] = parseInt(result.trim(), 10);
+        treeDataProvider.retention = rules;
+        treeDataProvider.saveSettings();
+        treeDataProvider.refresh();
+        vscode.window.showInformationMessage(`Retention policy updated: ${new RetentionPolicy(rules).describe()}`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.editFilters', async function () {
+      if (!treeDataProvider) return;
+
+      const rules = new FileFilter(treeDataProvider.filters).rules;
+      const fields = {
+        includeExtensions: { label: 'Only include extensions', kind: 'extensions', example: 'json, yaml' },
+        excludeExtensions: { label: 'Exclude extensions', kind: 'extensions', example: 'log, tmp' },
+        minSize: { label: 'Minimum file size', kind: 'size', example: '1KB' },
+        maxSize: { label: 'Maximum file size', kind: 'size', example: '100MB' },
+        maxAgeDays: { label: 'Only files modified within N days', kind: 'days' },
+        minAgeDays: { label: 'Only files older than N days', kind: 'days' }
+      };
+      const show = (key) => {
+        const value = rules[key];
+        if (fields[key].kind === 'extensions') return value.length > 0 ? value.join(' ') : 'off';
+        if (fields[key].kind === 'size') return value ? FileFilter.formatSize(value) : 'off';
+        return value ? String(value) : 'off';
+      };
+
+      const pick = await vscode.window.showQuickPick(
+        Object.keys(fields).map(key => ({ label: fields[key].label, description: show(key), key })),
+        { placeHolder: `File filters: ${new FileFilter(rules).describe()} - select a rule to edit` }
+      );
+      if (!pick) return;
+
+      const field = fields[pick.key];
+      const prompts = {
+        extensions: `${field.label}, separated by commas (e.g. ${field.example}; empty to disable)`,
+        size: `${field.label} (e.g. ${field.example}; 0 to disable)`,
+        days: `${field.label} (0 to disable)`
+      };
+      const validators = {
+        extensions: () => null,
+        size: value => FileFilter.parseSize(value) !== null ? null : 'Enter a size such as 500KB, 100MB or 2GB (0 to disable)',
+        days: value => /^\d+$/.test(value.trim()) ? null : 'Enter a whole number (0 to disable)'
+      };
+      const current = rules[pick.key];
+      const result = await vscode.window.showInputBox({
+        prompt: prompts[field.kind],
+        value: field.kind === 'extensions' ? current.join(', ') : (field.kind === 'size' && current ? FileFilter.formatSize(current) : String(current)),
+        validateInput: validators[field.kind]
+      });
+
+      if (result !== undefined) {
+        const parsers = {
+          extensions: value => FileFilter.parseExtensions(value),
+          size: value => FileFilter.parseSize(value),
+          days: value => parseInt(value.trim(), 10)
+        };
+        rules[pick.key] = parsers[field.kind](result);
+        treeDataProvider.filters = new FileFilter(rules).rules;
+        treeDataProvider.saveSettings();
+        treeDataProvider.refresh();
+        vscode.window.showInformationMessage(`File filters updated: ${new FileFilter(rules).describe()}`);
+      }
+    }),
+
+    vscode.commands.registerCommand('backup-vault.prune', async function () {
+      if (!fileOps || !treeDataProvider) {
+        vscode.window.showErrorMessage('Backup Vault is not properly initialized.');
+        return;
+      }
+      if (!treeDataProvider.outputDir) {
+        vscode.window.showErrorMessage('Output directory not set. Please configure the output directory in the Backup Vault panel.');
+        return;
+      }
+
+      const policy = new RetentionPolicy(treeDataProvider.retention);
+      if (!policy.isEnabled()) {
+        const choice = await vscode.window.showInformationMessage('No retention policy configured - all backups are kept.', 'Configure');
+        if (choice === 'Configure') {
+          vscode.commands.executeCommand('backup-vault.editRetention');
+        }
+        return;
+      }
+
+      try {
+        const backups = await fileOps.listBackups(treeDataProvider.outputDir, {
+          folderName: treeDataProvider.folderName,
+          suffix: treeDataProvider.suffix,
+          sources: Array.from(treeDataProvider.selectedItems)
+        });
+        const { keep, prune } = policy.plan(backups);
+
+        if (prune.length === 0) {
+          vscode.window.showInformationMessage(`Nothing to prune: all ${keep.length} backup(s) are kept by the retention policy (${policy.describe()}).`);
+          return;
+        }
+
+        // Preview what would be deleted before touching anything
+        const picks = await vscode.window.showQuickPick(
+          prune.map(backup => ({
+            label: `$(trash) ${backup.name}`,
+            description: `version ${backup.version}`,
+            detail: `${backup.date.toLocaleString()} - ${backup.reason}`,
+            picked: true,
+            backup
+          })),
+          {
+            canPickMany: true,
+            placeHolder: `Backups to prune - ${keep.length} backup(s) kept by policy (${policy.describe()})`
+          }
+        );
+        if (!picks || picks.length === 0) {
+          vscode.window.showInformationMessage('Prune cancelled.');
+          return;
+        }
+
+        const confirm = await vscode.window.showWarningMessage(
+          `Permanently delete ${picks.length} backup(s) from:\n${treeDataProvider.outputDir}?`,
+          { modal: true },
+          'Delete',
+          'Cancel'
+        );
+        if (confirm !== 'Delete') {
+          vscode.window.showInformationMessage('Prune cancelled.');
+          return;
+        }
+
+        let deletedCount = 0;
+        const errors = [];
+        for (const pick of picks) {
+          try {
+            await fileOps.deleteBackup(pick.backup.path);
+            deletedCount++;
+          } catch (error) {
+            errors.push(`${pick.backup.name}: ${error.message}`);
+          }
+        }
+
+        treeDataProvider.refreshHistory();
+        if (errors.length === 0) {
+          vscode.window.showInformationMessage(`✅ Pruned ${deletedCount} backup(s).`);
+        } else {
+          console.error('Prune errors:', errors);
+          vscode.window.showWarningMessage(`⚠️ Pruned ${deletedCount} backup(s), ${errors.length} could not be deleted. Check console for details.`);
+        }
+      } catch (error) {
+        console.error('Prune failed:', error);
+        vscode.window.showErrorMessage(`Prune failed: ${error.message}`);
+      }
+    }),
+
     vscode.commands.registerCommand('backup-vault.editFolderName', async function () {
       if (!treeDataProvider) return;
 
@@ -269,7 +1773,7 @@ function activate(context) {
             directFolders++;
             // Count all items in this directory recursively using FileOperations
             if (fileOps) {
-              totalItems += await fileOps.countItemsInDirectory(itemPath);
+              totalItems += await fileOps.countItemsInDirectory(itemPath, treeDataProvider.getIgnoreRules(), treeDataProvider.getFileFilter());
             }
           } else {
             directFiles++;
@@ -308,58 +1812,122 @@ function activate(context) {
       console.log('SendFiles: Selected items to send:', selectedItems.length, 'items');
       console.log('SendFiles: Destination directory:', treeDataProvider.sendingDir);
 
-      // Check for potential overwrites
       const fs = require('fs');
-      const path = require('path');
-      const wouldOverwrite = selectedItems.some(itemPath => {
-        const itemName = path.basename(itemPath);
-        const destPath = path.join(treeDataProvider.sendingDir, itemName);
-        return fs.existsSync(destPath);
-      });
+      const sendMode = treeDataProvider.sendMode || 'copy';
+      const conflictPolicy = treeDataProvider.conflictPolicy || 'overwrite';
+      const sendOptions = {
+        sources: selectedItems,
+        sendingDir: treeDataProvider.sendingDir,
+        deselected: Array.from(treeDataProvider.deselectedItems),
+        symlinks: treeDataProvider.symlinks,
+        ignore: treeDataProvider.getIgnoreRules(),
+        filter: treeDataProvider.getFileFilter(),
+        mode: sendMode,
+        conflicts: conflictPolicy
+      };
 
-      if (wouldOverwrite) {
-        const overwrite = await vscode.window.showWarningMessage(
-          `Some files already exist in the sending directory and will be overwritten.\n\nSending directory: ${treeDataProvider.sendingDir}\n\nDo you want to continue?`,
-          { modal: true },
-          'Continue',
-          'Cancel'
-        );
+      // Check every file for potential overwrites, not just the top-level names
+      let plan;
+      try {
+        plan = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: 'Checking the sending directory for existing files...'
+        }, () => fileOps.planSend(sendOptions));
+      } catch (error) {
+        console.error('Send files preview failed:', error);
+        vscode.window.showErrorMessage(`Send files failed: ${error.message}`);
+        return;
+      }
+
+      const mirrorsExisting = sendMode === 'mirror' && selectedItems.some(itemPath =>
+        fs.existsSync(path.join(treeDataProvider.sendingDir, path.basename(itemPath)))
+      );
+      if (plan.conflicts.length > 0 || mirrorsExisting) {
+        const outcomes = ['overwrite', 'skip', 'rename', 'ask']
+          .map(resolution => [resolution, plan.conflicts.filter(conflict => conflict.resolution === resolution).length])
+          .filter(([, count]) => count > 0)
+          .map(([resolution, count]) => `${count} ${describeConflictResolution(resolution)}`);
+        const message = (plan.conflicts.length > 0
+          ? `${plan.conflicts.length} file(s) already exist in the sending directory (${CONFLICT_POLICY_LABELS[conflictPolicy]}: ${outcomes.join(', ')}).`
+          : 'Some folders already exist in the sending directory.') +
+          (mirrorsExisting ? ' Files inside them that are no longer in the selection will be DELETED.' : '') +
+          ` Sending directory: ${treeDataProvider.sendingDir}`;
 
-        if (overwrite !== 'Continue') {
+        // Not modal, so the preview document can be read while the question stays open
+        let answer;
+        do {
+          answer = await vscode.window.showWarningMessage(message, 'Continue', ...(plan.conflicts.length > 0 ? ['Show Preview'] : []));
+          if (answer === 'Show Preview') {
+            await openReportDocument(formatSendPreview(plan));
+          }
+        } while (answer === 'Show Preview');
+
+        if (answer !== 'Continue') {
           vscode.window.showInformationMessage('Send files cancelled.');
           return;
         }
       }
 
-      vscode.window.showInformationMessage(`Sending ${selectedItems.length} selected item(s) to sending directory...`);
-
       try {
-        // Use the new FileOperations module
-        const results = await fileOps.sendFiles({
-          sources: selectedItems,
-          sendingDir: treeDataProvider.sendingDir,
-          deselected: Array.from(treeDataProvider.deselectedItems)
-        });
+        const applyToAll = {};
+        const results = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: `${sendMode === 'copy' ? 'Sending' : sendMode === 'sync' ? 'Syncing' : 'Mirroring'} ${selectedItems.length} item(s)`,
+          cancellable: true
+        }, (progress, token) => fileOps.sendFiles({
+          ...sendOptions,
+          onProgress: createProgressReporter(progress),
+          cancellationToken: token,
+          verification: treeDataProvider.verification || 'paranoid',
+          askConflict: conflict => askSendConflict(conflict, applyToAll),
+          renamedCopies: context.workspaceState.get(RENAMED_COPIES_KEY, [])
+        }));
+        await context.workspaceState.update(RENAMED_COPIES_KEY, results.renamedCopies);
+
+        if (results.cancelled) {
+          const partial = results.partialItems.length > 0 ? `, ${results.partialItems.length} only partially` : '';
+          const choice = await vscode.window.showWarningMessage(
+            `Send files cancelled: ${results.sentFiles.length} file(s) sent${partial}.`,
+            'Show Details'
+          );
+          if (choice === 'Show Details') {
+            await openReportDocument(formatSendReport(treeDataProvider.sendingDir, results));
+          }
+          return;
+        }
 
         // Show final status
+        const counts = sendMode === 'copy'
+          ? ''
+          : ` (${results.copiedCount} file(s) copied, ${results.skippedCount} unchanged skipped` +
+            (sendMode === 'mirror' ? `, ${results.deletedCount} deleted)` : ')');
+        const verified = results.verification === 'paranoid' ? ' and hash-verified' : '';
+        let choice;
         if (results.successCount > 0 && results.errorCount === 0) {
-          vscode.window.showInformationMessage(`✅ Send completed! ${results.successCount} item(s) sent successfully`);
-
           // Show destination info after a delay
           setTimeout(() => {
             vscode.window.showInformationMessage(`📁 Sent to: ${treeDataProvider.sendingDir}`);
           }, 1500);
+          choice = await vscode.window.showInformationMessage(
+            `✅ Send completed! ${results.successCount} item(s) sent${verified} successfully${counts}`,
+            'Show Report'
+          );
         } else if (results.successCount > 0 && results.errorCount > 0) {
-          vscode.window.showWarningMessage(`⚠️ Partially completed: ${results.successCount} item(s) sent, ${results.errorCount} failed. Check output for details.`);
+          choice = await vscode.window.showWarningMessage(
+            `⚠️ Partially completed: ${results.successCount} item(s) sent, ${results.errorCount} failed${counts}.`,
+            'Show Report'
+          );
         } else {
-          vscode.window.showErrorMessage(`❌ Failed to send any items. Check console for details.`);
+          choice = await vscode.window.showErrorMessage(`❌ Failed to send any items: ${results.errors[0]}`, 'Show Report');
         }
-
-        // Log errors if any
-        if (results.errors && results.errors.length > 0) {
-          console.error('Send files errors:', results.errors);
+        if (choice === 'Show Report') {
+          await openReportDocument(formatSendReport(treeDataProvider.sendingDir, results));
         }
       } catch (error) {
+        if (FileOperations.isCancellation(error)) {
+          vscode.window.showInformationMessage('Send files cancelled.');
+          return;
+        }
         console.error('Send files operation failed:', error);
         vscode.window.showErrorMessage(`Send files failed: ${error.message}`);
       }
@@ -1,12 +1,53 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
+const os = require('os');
 const path = require('path');
 const { createReadStream, createWriteStream } = require('fs');
+const { Transform } = require('stream');
 const crypto = require('crypto');
+const ArchiveOperations = require('./archive.js');
+const FileCompression = require('./compression.js');
+const WorkerPool = require('./workerPool.js');
+
+// Every backup gets a sidecar manifest named after it (e.g. Backup_v3.zip.manifest.json)
+const MANIFEST_SUFFIX = '.manifest.json';
+const MANIFEST_VERSION = 1;
+
+// 'fast' trusts the hashes taken while copying; 'paranoid' also re-reads every copy to verify it
+const VERIFICATION_LEVELS = ['fast', 'paranoid'];
+
+// How symlinks inside selected folders are treated: copied as their target, recreated as links, or left out
+const SYMLINK_POLICIES = ['follow', 'preserve', 'skip'];
+
+// Modification times are compared with this much slack, since FAT file systems store them in 2 second steps
+const MTIME_TOLERANCE_MS = 2000;
+
+// 'copy' rewrites every file; 'sync' skips files already up to date; 'mirror' also deletes stale destination files
+const SEND_MODES = ['copy', 'sync', 'mirror'];
+
+// What a send does with a file that already exists in the sending directory
+const CONFLICT_POLICIES = ['overwrite', 'skip', 'newer', 'larger', 'rename', 'ask'];
 
 class FileOperations {
   constructor() {
     this.tempFiles = new Set();
+    this.archives = new ArchiveOperations();
+    // Bounds how many files are copied, hashed or read at once during tree walks
+    this.pool = new WorkerPool();
+  }
+
+  /**
+   * Whether an error was raised because the user cancelled the operation
+   */
+  static isCancellation(error) {
+    return Boolean(error) && error.code === 'ECANCELED';
+  }
+
+  /**
+   * Set how many file operations may run in parallel
+   */
+  setConcurrency(size) {
+    this.pool.setSize(size);
   }
 
   /**
@@ -74,8 +115,17 @@ class FileOperations {
       packFiles,
       folderName,
       suffix,
+      format = 'folder',
+      encryption = null,
+      compression = null,
+      verification = 'paranoid',
+      symlinks = 'follow',
+      verifyMetadata = false,
+      ignore = null,
+      filter = null,
       force = false,
       onProgress = null,
+      cancellationToken = null,
       deselected = []
     } = options;
 
@@ -86,6 +136,14 @@ class FileOperations {
       packFiles,
       folderName,
       suffix,
+      format,
+      encrypted: Boolean(encryption),
+      compression: compression ? compression.algorithm : 'none',
+      verification,
+      symlinks,
+      verifyMetadata,
+      ignoreFiles: ignore ? ignore.fileNames : [],
+      filter: filter ? filter.describe() : 'All files',
       force
     });
 
@@ -100,6 +158,15 @@ class FileOperations {
       if (!version) {
         throw new Error('No version specified');
       }
+      if (format !== 'folder' && !ArchiveOperations.isArchiveFormat(format)) {
+        throw new Error(`Unsupported output format: ${format}`);
+      }
+      if (!VERIFICATION_LEVELS.includes(verification)) {
+        throw new Error(`Unsupported verification level: ${verification}`);
+      }
+      if (!SYMLINK_POLICIES.includes(symlinks)) {
+        throw new Error(`Unsupported symlink policy: ${symlinks}`);
+      }
 
       // Ensure output directory exists
       await fs.mkdir(outputDir, { recursive: true });
@@ -113,21 +180,31 @@ class FileOperations {
         }
       }
 
+      // Count what will be copied so progress can show totals
+      let totals = {};
+      if (onProgress) {
+        this._reportPhase(onProgress, 'scanning');
+        totals = await this._countSources(sources, deselected, symlinks, ignore, filter);
+      }
+      this._throwIfCancelled(cancellationToken);
+
       // Determine if we need to pack
       const shouldPack = sources.length > 1 || packFiles;
 
       // Calculate destination name
-      const finalName = this._calculateDestinationName(sources, shouldPack, folderName, suffix, version);
+      const finalName = this._calculateDestinationName(sources, shouldPack, folderName, suffix, version, format);
       const dst = path.join(outputDir, finalName);
 
       console.log('FileOperations: Calculated destination:', dst);
 
       // Check for existing backup
+      let exists = false;
       try {
         await fs.access(dst);
         if (!force) {
           throw new Error(`A backup with version '${version}' already exists at: ${dst}`);
         }
+        exists = true;
         console.log('FileOperations: Will overwrite existing backup');
       } catch (error) {
         if (error.code !== 'ENOENT') throw error;
@@ -135,24 +212,71 @@ class FileOperations {
       }
 
       // Create temp directory
-      const tempDir = path.join(outputDir, `._tmp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+      // Encrypted archives are staged as plain files first, so keep those off the output drive
+      const stagingRoot = encryption && shouldPack && ArchiveOperations.isArchiveFormat(format) ? os.tmpdir() : outputDir;
+      const tempDir = path.join(stagingRoot, `._tmp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
       this.tempFiles.add(tempDir);
 
+      // dst is only removed on failure once it is known to hold nothing but this backup's output
+      let displaced = null;
+      let ownsDestination = !exists;
+
       try {
         await fs.mkdir(tempDir, { recursive: true });
         console.log('FileOperations: Created temp directory:', tempDir);
 
+        if (exists) {
+          // Overwritten backups are only set aside until the new one is complete
+          displaced = await this._displaceBackup(dst);
+          ownsDestination = true;
+        }
+
+        // Per-file compression only applies to folder-style backups
+        const fileCompression = compression ? new FileCompression(compression) : null;
+        const verifyCopies = verification === 'paranoid';
+        const copyOptions = { onProgress, cancellationToken, deselected, symlinks, verifyMetadata, ignore, filter };
+        this._reportPhase(onProgress, 'copying', totals);
+
+        let backupInfo;
         if (shouldPack) {
           // Handle packed backup (multiple sources or forced packing)
-          await this._createPackedBackup(sources, tempDir, dst, force, onProgress, deselected);
+          backupInfo = await this._createPackedBackup(sources, tempDir, dst, copyOptions, format, encryption, fileCompression, verifyCopies);
         } else {
           // Handle single source backup
-          await this._createSingleBackup(sources[0], tempDir, dst, force, onProgress, deselected);
+          backupInfo = await this._createSingleBackup(sources[0], tempDir, dst, copyOptions, encryption, fileCompression, verifyCopies);
+        }
+
+        // Record what went into the backup so it can be audited later
+        this._reportPhase(onProgress, 'finishing');
+        const manifestPath = await this._writeManifest(dst, {
+          version,
+          suffix,
+          packed: shouldPack,
+          format: shouldPack ? format : 'folder',
+          sources,
+          deselected,
+          sourceHashes: backupInfo.sourceHashes,
+          fileStats: backupInfo.fileStats,
+          encryption: encryption ? encryption.metadata() : null,
+          compressedFiles: backupInfo.compressedFiles,
+          symlinks,
+          ignoreFiles: ignore ? ignore.fileNames : [],
+          filters: filter && filter.isEnabled() ? filter.rules : null
+        });
+
+        if (displaced) {
+          await this._discardDisplacedBackup(displaced);
         }
 
         console.log('FileOperations: Backup created successfully at:', dst);
-        return { success: true, destination: dst };
+        return { success: true, destination: dst, manifest: manifestPath };
 
+      } catch (error) {
+        // Failed or cancelled: drop the partial backup and put back the one it was replacing
+        if (ownsDestination) {
+          await this._rollbackBackup(dst, displaced);
+        }
+        throw error;
       } finally {
         // Cleanup temp directory
         try {
@@ -170,14 +294,40 @@ class FileOperations {
 
   /**
    * Send files to sending directory
+   * Every copied file is hashed from the copy stream; with paranoid verification the copy is re-hashed and
+   * compared as well. results.items holds one report entry per selected item: its status ('verified', 'sent',
+   * 'failed', 'partial' or 'unsent'), file counts and the failure reason
+   * Files that already exist in the sending directory are handled by the conflict policy (see _resolveConflict);
+   * with 'ask', askConflict(conflict) is called for one conflict at a time and resolves with 'overwrite', 'skip'
+   * or 'rename' (anything else cancels the send). Every conflict and its resolution is listed in results.conflicts
+   * renamedCopies lists the { target, destination } copies earlier sends renamed, which mirror sends keep
+   * while the file they were renamed from is still sent; results.renamedCopies returns the list to keep for
+   * the next send: those of them still on disk plus the copies renamed by this send
    */
   async sendFiles(options) {
-    const { sources, sendingDir, onProgress = null, deselected = [] } = options;
+    const {
+      sources,
+      sendingDir,
+      onProgress = null,
+      cancellationToken = null,
+      deselected = [],
+      symlinks = 'follow',
+      ignore = null,
+      filter = null,
+      mode = 'copy',
+      verification = 'paranoid',
+      conflicts = 'overwrite',
+      askConflict = null,
+      renamedCopies = []
+    } = options;
 
     console.log('FileOperations: Sending files', {
       sources: sources.length,
       sendingDir,
-      deselectedCount: deselected.length
+      deselectedCount: deselected.length,
+      mode,
+      verification,
+      conflicts
     });
 
     if (!sources || sources.length === 0) {
@@ -186,6 +336,18 @@ class FileOperations {
     if (!sendingDir) {
       throw new Error('No sending directory configured');
     }
+    if (!SEND_MODES.includes(mode)) {
+      throw new Error(`Unsupported send mode: ${mode}`);
+    }
+    if (!VERIFICATION_LEVELS.includes(verification)) {
+      throw new Error(`Unsupported verification level: ${verification}`);
+    }
+    if (!CONFLICT_POLICIES.includes(conflicts)) {
+      throw new Error(`Unsupported conflict policy: ${conflicts}`);
+    }
+    if (conflicts === 'ask' && !askConflict) {
+      throw new Error('The ask conflict policy needs an askConflict callback');
+    }
 
     // Validate sending directory
     try {
@@ -194,49 +356,181 @@ class FileOperations {
       throw new Error(`Sending directory does not exist: ${sendingDir}`);
     }
 
-    const results = { successCount: 0, errorCount: 0, errors: [] };
+    if (onProgress) {
+      this._reportPhase(onProgress, 'scanning');
+      const totals = await this._countSources(sources, deselected, symlinks, ignore, filter);
+      this._reportPhase(onProgress, 'copying', totals);
+    }
+
+    // Sent files are tracked so a cancelled send can report exactly what reached the sending directory
+    const results = {
+      mode,
+      verification,
+      items: [],
+      conflicts: [],
+      successCount: 0,
+      errorCount: 0,
+      errors: [],
+      cancelled: false,
+      sentFiles: [],
+      partialItems: [],
+      unsentItems: [],
+      copiedCount: 0,
+      verifiedCount: 0,
+      skippedCount: 0,
+      keptCount: 0,
+      deletedCount: 0,
+      renamedCopies: []
+    };
+    // Sync and mirror sends compare every file with the destination before copying it
+    const send = {
+      sync: mode !== 'copy',
+      mirror: mode === 'mirror',
+      verifyCopies: verification === 'paranoid',
+      policy: conflicts,
+      askConflict,
+      // Questions are asked one at a time although files are copied in parallel
+      pendingQuestion: Promise.resolve(),
+      askDismissed: false,
+      // Renamed copies (target -> the destination they were renamed from), from earlier sends and this one;
+      // parallel copies never pick the same name, and mirror sends keep them while their original is sent
+      renamed: new Map(renamedCopies.map(copy => [copy.target, copy.destination])),
+      results
+    };
+    const trackProgress = (event) => {
+      if (event.type === 'file_complete' && event.skipped && event.conflict === 'skip') {
+        results.keptCount++;
+      } else if (event.type === 'file_complete' && event.skipped) {
+        results.skippedCount++;
+      } else if (event.type === 'file_complete') {
+        results.copiedCount++;
+        if (event.verified) results.verifiedCount++;
+        results.sentFiles.push(event.destination);
+      }
+      if (onProgress) {
+        onProgress(event);
+      }
+    };
 
     for (const sourcePath of sources) {
+      const destPath = path.join(sendingDir, path.basename(sourcePath));
+      if (results.cancelled) {
+        results.unsentItems.push(sourcePath);
+        results.items.push({ source: sourcePath, destination: destPath, status: 'unsent', copied: 0, verified: 0, skipped: 0, kept: 0, deleted: 0, reason: 'Send cancelled' });
+        continue;
+      }
+      const sentBefore = results.sentFiles.length;
+      const before = { copied: results.copiedCount, verified: results.verifiedCount, skipped: results.skippedCount, kept: results.keptCount, deleted: results.deletedCount };
+      const itemReport = (status, reason = null) => results.items.push({
+        source: sourcePath,
+        destination: destPath,
+        status,
+        copied: results.copiedCount - before.copied,
+        verified: results.verifiedCount - before.verified,
+        skipped: results.skippedCount - before.skipped,
+        kept: results.keptCount - before.kept,
+        deleted: results.deletedCount - before.deleted,
+        reason
+      });
+
       try {
+        this._throwIfCancelled(cancellationToken);
+
         // Validate source exists
         await fs.access(sourcePath);
 
-        const itemName = path.basename(sourcePath);
-        const destPath = path.join(sendingDir, itemName);
-
-        // Check for overwrite
-        try {
-          await fs.access(destPath);
-          // File exists - this would have been handled in UI with confirmation
-          console.log('FileOperations: Overwriting existing file:', destPath);
-        } catch (error) {
-          // File doesn't exist, proceed
-        }
-
-        // Copy with deselected item filtering
-        await this._copyItemRecursiveFiltered(sourcePath, destPath, onProgress, deselected);
+        // Copy with deselected item filtering; existing files are handled per file by the conflict policy
+        await this._copyItemRecursiveFiltered(sourcePath, destPath, trackProgress, deselected, cancellationToken, symlinks, ignore, filter, send);
         results.successCount++;
+        itemReport(send.verifyCopies ? 'verified' : 'sent');
         console.log('FileOperations: Successfully sent:', sourcePath, '->', destPath);
 
       } catch (error) {
+        if (FileOperations.isCancellation(error)) {
+          // Interrupted files are deleted; an item is partial if some of its files made it
+          results.cancelled = true;
+          if (results.sentFiles.length > sentBefore) {
+            results.partialItems.push(sourcePath);
+            itemReport('partial', 'Send cancelled');
+          } else {
+            results.unsentItems.push(sourcePath);
+            itemReport('unsent', 'Send cancelled');
+          }
+          console.log('FileOperations: Send cancelled during:', sourcePath);
+          continue;
+        }
         results.errorCount++;
         results.errors.push(`Failed to send ${sourcePath}: ${error.message}`);
+        itemReport('failed', error.message);
         console.error('FileOperations: Send failed:', error);
       }
     }
 
+    for (const [target, destination] of send.renamed) {
+      if (await fs.lstat(target).catch(() => null)) {
+        results.renamedCopies.push({ target, destination });
+      }
+    }
     return results;
   }
 
+  /**
+   * Preview the conflicts of a send: every file (or symlink in its place) that already exists in the sending
+   * directory, with what the conflict policy would do to it ('overwrite', 'skip', 'rename' or 'ask')
+   * Sync and mirror sends leave out files whose size and modification time match; files that only match
+   * by hash are still listed here, although the send will skip them
+   */
+  async planSend(options) {
+    const { sources, sendingDir, deselected = [], symlinks = 'follow', ignore = null, filter = null, mode = 'copy', conflicts = 'overwrite' } = options;
+    const planned = [];
+
+    const walk = async (source, destination, ancestors) => {
+      if (this._isDeselected(source, deselected)) return;
+      const stat = ancestors ? await this._statEntry(source, symlinks, ancestors) : await fs.stat(source).catch(() => null);
+      if (!stat || this._isExcludedEntry(ancestors, source, stat, ignore, filter)) return;
+
+      const destStat = await fs.lstat(destination).catch(() => null);
+      if (!destStat) return;
+      if (stat.isDirectory()) {
+        if (!destStat.isDirectory()) return;
+        const childAncestors = new Set(ancestors).add(this._fileId(stat));
+        const entries = await this.pool.run(() => fs.readdir(source));
+        await WorkerPool.settle(entries.map(entry => walk(path.join(source, entry), path.join(destination, entry), childAncestors)));
+        return;
+      }
+      if (!stat.isFile() || !(destStat.isFile() || destStat.isSymbolicLink())) return;
+      if (mode !== 'copy' && destStat.isFile() && destStat.size === stat.size && Math.abs(destStat.mtimeMs - stat.mtimeMs) <= MTIME_TOLERANCE_MS) return;
+
+      planned.push({
+        source,
+        destination,
+        relativePath: path.relative(sendingDir, destination),
+        sourceSize: stat.size,
+        sourceMtime: stat.mtime,
+        destinationSize: destStat.size,
+        destinationMtime: destStat.mtime,
+        resolution: this._resolveConflict(conflicts, stat, destStat)
+      });
+    };
+
+    for (const sourcePath of sources) {
+      await walk(sourcePath, path.join(sendingDir, path.basename(sourcePath)), null);
+    }
+
+    planned.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+    return { sendingDir, policy: conflicts, conflicts: planned };
+  }
+
   /**
    * Calculate destination name (replicates PowerShell logic)
    */
-  _calculateDestinationName(sources, shouldPack, folderName, suffix, version) {
+  _calculateDestinationName(sources, shouldPack, folderName, suffix, version, format = 'folder') {
     if (shouldPack) {
       if (!folderName || folderName.trim() === '') {
         throw new Error('Folder name is required when packing files');
       }
-      return `${folderName}${suffix}${version}`;
+      // Archive formats only apply to packed backups
+      return `${folderName}${suffix}${version}${ArchiveOperations.getExtension(format)}`;
     } else {
       // Single file - insert suffix before extension
       const srcLeaf = path.basename(sources[0]);
@@ -249,190 +543,591 @@ class FileOperations {
   /**
    * Create packed backup (multiple sources)
    */
-  async _createPackedBackup(sources, tempDir, finalDst, force, onProgress, deselected = []) {
+  async _createPackedBackup(sources, tempDir, finalDst, copyOptions = {}, format = 'folder', encryption = null, compression = null, verifyCopies = true) {
     console.log('FileOperations: Creating packed backup');
+    const { onProgress = null, cancellationToken = null, verifyMetadata = false } = copyOptions;
+    const isArchive = ArchiveOperations.isArchiveFormat(format);
 
-    // Calculate source hashes BEFORE copying
-    console.log('FileOperations: Calculating source hashes for verification...');
-    const sourceHashes = await this._calculateSourceHashes(sources, true, deselected);
-    console.log(`FileOperations: Calculated hashes for ${sourceHashes.size} files`);
-
-    // Handle existing destination if forcing overwrite
-    if (force) {
-      try {
-        await fs.access(finalDst);
-        await this._removeRecursive(finalDst);
-        console.log('FileOperations: Removed existing packed backup');
-      } catch (error) {
-        // Destination doesn't exist, continue
-      }
-    }
+    // Folder backups encrypt (and optionally compress) every file; archives are encrypted as a whole once packed
+    const fileEncryption = isArchive ? null : encryption;
+    const fileCompression = isArchive ? null : compression;
 
-    // Copy all sources to temp directory
+    // Copy all sources to temp directory, hashing each source file from the copy stream
+    const sourceHashes = new Map();
+    const fileStats = new Map();
     for (const source of sources) {
       const srcLeaf = path.basename(source);
       const destPath = path.join(tempDir, srcLeaf);
 
-      await this._copyItemRecursive(source, destPath, onProgress);
+      await this._copyItemRecursive(source, destPath, {
+        ...copyOptions,
+        transforms: this._encoders(fileEncryption),
+        compression: fileCompression,
+        record: { basePath: path.dirname(source), hashes: sourceHashes, fileStats }
+      });
       console.log('FileOperations: Copied source to temp:', source, '->', destPath);
     }
-
-    // Remove deselected items from temp directory
-    if (deselected && deselected.length > 0) {
-      for (const deselectedPath of deselected) {
-        for (const source of sources) {
-          if (deselectedPath.startsWith(source + path.sep) || deselectedPath === source) {
-            const relativePath = path.relative(source, deselectedPath);
-            const srcLeaf = path.basename(source);
-            const fullPath = path.join(tempDir, srcLeaf, relativePath);
-            try {
-              await fs.access(fullPath);
-              await this._removeRecursive(fullPath);
-              console.log('FileOperations: Removed deselected item:', fullPath);
-            } catch (error) {
-              // Not found or already removed
-            }
-          }
-        }
+    console.log(`FileOperations: Hashed ${sourceHashes.size} files while copying`);
+
+    const compressedFiles = this._collectCompressedFiles(fileCompression, tempDir);
+    this._throwIfCancelled(cancellationToken);
+    if (verifyCopies) {
+      // Re-read the copies and compare them with the hashes taken from the sources
+      this._reportPhase(onProgress, 'verifying');
+      console.log('FileOperations: Verifying packed backup with hashes...');
+      const verification = await this._verifyHashesAgainstSources(sourceHashes, tempDir, true, this._decoders(fileEncryption), compressedFiles, cancellationToken);
+      if (!verification.valid) {
+        throw new Error(`Hash verification failed: ${verification.message}`);
       }
+      console.log('FileOperations: Hash verification passed for packed backup');
+    }
+    if (verifyMetadata && !isArchive) {
+      // Archive entries carry their own timestamps and permissions, so only folder copies are checked
+      await this._assertMetadataPreserved(fileStats, tempDir, false, compressedFiles);
     }
 
-    // Hash-based verification
-    console.log('FileOperations: Verifying packed backup with hashes...');
-    const verification = await this._verifyHashesAgainstSources(sourceHashes, tempDir, true);
-    if (!verification.valid) {
-      throw new Error(`Hash verification failed: ${verification.message}`);
+    this._throwIfCancelled(cancellationToken);
+    if (isArchive) {
+      // Pack the temp directory into a single archive file
+      this._reportPhase(onProgress, 'archiving');
+      await this._createArchiveFromTemp(tempDir, finalDst, format, sourceHashes, onProgress, encryption, verifyCopies, cancellationToken);
+      console.log('FileOperations: Moved archive to final destination');
+      return { sourceHashes, fileStats, compressedFiles };
     }
-    console.log('FileOperations: Hash verification passed for packed backup');
 
     // Move temp to final destination
+    this._reportPhase(onProgress, 'moving');
     await this._moveTempToFinal(tempDir, finalDst);
     console.log('FileOperations: Moved packed backup to final destination');
+    return { sourceHashes, fileStats, compressedFiles };
   }
 
   /**
-   * Create single source backup
+   * Write the staged backup into an archive, verify its entries and move it into place
+   * With encryption the verified archive is encrypted into place instead of moved
+   * verifyCopies = false skips re-reading the archive (fast verification)
    */
-  async _createSingleBackup(source, tempDir, finalDst, force, onProgress, deselected = []) {
-    console.log('FileOperations: Creating single backup');
+  async _createArchiveFromTemp(tempDir, finalDst, format, sourceHashes, onProgress, encryption = null, verifyCopies = true, cancellationToken = null) {
+    const tempArchive = `${tempDir}${ArchiveOperations.getExtension(format)}`;
+    this.tempFiles.add(tempArchive);
 
-    // Calculate source hashes BEFORE copying
-    console.log('FileOperations: Calculating source hashes for verification...');
-    const sourceHashes = await this._calculateSourceHashes([source], false, deselected);
-    console.log(`FileOperations: Calculated hashes for ${sourceHashes.size} files`);
+    try {
+      await this.archives.writeArchive(tempDir, tempArchive, format, onProgress, cancellationToken);
+      this._throwIfCancelled(cancellationToken);
+
+      if (verifyCopies) {
+        // Hash-based verification of the archive entries themselves
+        console.log('FileOperations: Verifying archive entries with hashes...');
+        const archiveHashes = await this.archives.hashEntries(tempArchive, format);
+        const verification = this._compareHashMaps(sourceHashes, archiveHashes);
+        if (!verification.valid) {
+          throw new Error(`Archive hash verification failed: ${verification.message}`);
+        }
+        console.log('FileOperations: Hash verification passed for archive');
+      }
 
-    // Handle existing destination if forcing overwrite
-    if (force) {
-      try {
-        await fs.access(finalDst);
-        const stat = await fs.stat(finalDst);
-        if (stat.isDirectory()) {
-          await this._removeRecursive(finalDst);
-        } else {
-          await fs.unlink(finalDst);
+      if (encryption) {
+        // The encrypted file must decrypt back to exactly the archive that was just written
+        const archiveHash = await this._copyFileStream(tempArchive, finalDst, onProgress, this._encoders(encryption), cancellationToken);
+        if (!verifyCopies) {
+          console.log('FileOperations: Encrypted archive written (fast verification)');
+          return;
         }
-        console.log('FileOperations: Removed existing single backup');
+        const decryptedHash = await this._calculateFileHash(finalDst, this._decoders(encryption));
+        if (decryptedHash !== archiveHash) {
+          await fs.unlink(finalDst).catch(() => {});
+          throw new Error('Encrypted archive verification failed: decrypted content does not match the archive');
+        }
+        console.log('FileOperations: Encrypted archive verified');
+        return;
+      }
+
+      try {
+        await fs.rename(tempArchive, finalDst);
       } catch (error) {
-        // Destination doesn't exist, continue
+        // Rename failed (probably cross-device), try copy + delete
+        console.log('FileOperations: Archive rename failed, falling back to copy+delete');
+        await this._copyFileStream(tempArchive, finalDst, onProgress, [], cancellationToken);
       }
+    } finally {
+      await this._cleanupTemp(tempArchive);
     }
+  }
 
-    // Copy directly to final destination
-    await this._copyItemRecursive(source, finalDst, onProgress);
+  /**
+   * Create single source backup
+   */
+  async _createSingleBackup(source, tempDir, finalDst, copyOptions = {}, encryption = null, compression = null, verifyCopies = true) {
+    console.log('FileOperations: Creating single backup');
+    const { onProgress = null, cancellationToken = null, verifyMetadata = false } = copyOptions;
 
-    // Remove deselected items from destination (for directory backups)
-    const destStat = await fs.stat(finalDst);
-    if (destStat.isDirectory() && deselected && deselected.length > 0) {
-      for (const deselectedPath of deselected) {
-        if (deselectedPath.startsWith(source + path.sep) || deselectedPath === source) {
-          const relativePath = path.relative(source, deselectedPath);
-          const fullPath = path.join(finalDst, relativePath);
-          try {
-            await fs.access(fullPath);
-            await this._removeRecursive(fullPath);
-            console.log('FileOperations: Removed deselected item:', fullPath);
-          } catch (error) {
-            // Not found or already removed
-          }
-        }
+    // Copy directly to final destination (single files keep their versioned name, so they are never compressed)
+    // Source hashes are taken from the copy stream; a directory's files are keyed relative to it
+    const sourceStat = await fs.stat(source);
+    const fileCompression = sourceStat.isDirectory() ? compression : null;
+    const sourceHashes = new Map();
+    const fileStats = new Map();
+    await this._copyItemRecursive(source, finalDst, {
+      ...copyOptions,
+      transforms: this._encoders(encryption),
+      compression: fileCompression,
+      record: {
+        basePath: sourceStat.isDirectory() ? source : path.dirname(source),
+        hashes: sourceHashes,
+        fileStats
       }
+    });
+    console.log(`FileOperations: Hashed ${sourceHashes.size} files while copying`);
+
+    const compressedFiles = this._collectCompressedFiles(fileCompression, finalDst);
+    this._throwIfCancelled(cancellationToken);
+    if (verifyCopies) {
+      // Re-read the copies and compare them with the hashes taken from the source
+      this._reportPhase(onProgress, 'verifying');
+      console.log('FileOperations: Verifying single backup with hashes...');
+      const verification = await this._verifyHashesAgainstSources(sourceHashes, finalDst, false, this._decoders(encryption), compressedFiles, cancellationToken);
+      if (!verification.valid) {
+        throw new Error(`Hash verification failed: ${verification.message}`);
+      }
+      console.log('FileOperations: Hash verification passed for single backup');
     }
-
-    // Hash-based verification
-    console.log('FileOperations: Verifying single backup with hashes...');
-    const verification = await this._verifyHashesAgainstSources(sourceHashes, finalDst, false);
-    if (!verification.valid) {
-      throw new Error(`Hash verification failed: ${verification.message}`);
+    if (verifyMetadata) {
+      await this._assertMetadataPreserved(fileStats, finalDst, !sourceStat.isDirectory(), compressedFiles);
     }
-    console.log('FileOperations: Hash verification passed for single backup');
+    return { sourceHashes, fileStats, compressedFiles };
   }
 
   /**
    * Recursively copy files and directories with streaming
+   * Options:
+   * - transforms: stream factories applied to each file's content (see _encoders)
+   * - compression: files that shrink enough are stored as <name>.gz / <name>.br
+   * - deselected: paths that are skipped along with everything inside them
+   * - symlinks: policy for links found inside directories (see SYMLINK_POLICIES); source itself is always followed
+   * - ignore: IgnoreRules leaving out matching entries below source (source itself is always copied)
+   * - filter: FileFilter leaving out files below source by extension, size or age
+   * - cancellationToken: stops the copy once cancellation is requested, deleting any half-copied file
+   * - record: { basePath, hashes, fileStats } receives the SHA-256 (taken from the copy stream),
+   *   size and mtime of every copied source file, keyed by its path relative to basePath
    */
-  async _copyItemRecursive(source, destination, onProgress) {
-    const stat = await fs.stat(source);
+  async _copyItemRecursive(source, destination, options = {}) {
+    const { onProgress = null, transforms = [], compression = null, deselected = [], cancellationToken = null, record = null, symlinks = 'follow', ignore = null, filter = null, ancestors = null } = options;
+    this._throwIfCancelled(cancellationToken);
+
+    if (this._isDeselected(source, deselected)) {
+      console.log('FileOperations: Skipping deselected item:', source);
+      return;
+    }
+
+    // ancestors is only set below the top-level item, where the symlink policy applies
+    const stat = ancestors ? await this._statEntry(source, symlinks, ancestors) : await fs.stat(source);
+    if (!stat || this._isExcludedEntry(ancestors, source, stat, ignore, filter)) return;
 
     if (stat.isDirectory()) {
       await fs.mkdir(destination, { recursive: true });
 
-      const entries = await fs.readdir(source);
-      for (const entry of entries) {
+      // Directories are walked in parallel; only the file operations take pool slots
+      const childAncestors = new Set(ancestors).add(this._fileId(stat));
+      const entries = await this.pool.run(() => fs.readdir(source));
+      await WorkerPool.settle(entries.map(entry => {
         const srcPath = path.join(source, entry);
         const destPath = path.join(destination, entry);
-        await this._copyItemRecursive(srcPath, destPath, onProgress);
+        return this._copyItemRecursive(srcPath, destPath, { ...options, ancestors: childAncestors });
+      }));
+      // Only now, as copying the entries above changed the directory's mtime
+      await this._applyMetadata(destination, stat);
+      return;
+    }
+
+    if (stat.isSymbolicLink()) {
+      // Preserved links are recreated as links, never compressed or encrypted
+      const target = await this.pool.run(() => {
+        this._throwIfCancelled(cancellationToken);
+        return this._copySymlink(source, destination);
+      });
+      if (onProgress) {
+        onProgress({ type: 'file_complete', source, destination, bytes: 0 });
+      }
+      if (record) {
+        const relativePath = path.relative(record.basePath, source);
+        record.hashes.set(relativePath, this._hashLinkTarget(target));
+        record.fileStats.set(relativePath, { size: 0, mtime: stat.mtime, symlink: target });
+      }
+      return;
+    }
+
+    const hash = await this.pool.run(() => {
+      // Files still queued when cancellation is requested are never started
+      this._throwIfCancelled(cancellationToken);
+      if (compression && compression.shouldCompress(source, stat.size) && !fsSync.existsSync(source + compression.extension)) {
+        // A sibling already named like the compressed file keeps this one uncompressed
+        return this._copyCompressedFile(source, destination, stat.size, onProgress, transforms, compression, cancellationToken);
       }
-    } else {
       // File copy with streaming
-      await this._copyFileStream(source, destination, onProgress);
+      return this._copyFileStream(source, destination, onProgress, transforms, cancellationToken);
+    });
+
+    if (onProgress) {
+      onProgress({ type: 'file_complete', source, destination, bytes: stat.size });
+    }
+
+    if (record) {
+      const relativePath = path.relative(record.basePath, source);
+      record.hashes.set(relativePath, hash);
+      record.fileStats.set(relativePath, { size: stat.size, mtime: stat.mtime, mode: stat.mode & 0o7777 });
+    }
+  }
+
+  /**
+   * Copy a file compressed, falling back to a plain copy when it does not shrink enough
+   * Resolves with the SHA-256 of the source content
+   */
+  async _copyCompressedFile(source, destination, size, onProgress, transforms, compression, cancellationToken = null) {
+    const storedPath = destination + compression.extension;
+    let compressedBytes = 0;
+    const encoders = [
+      () => {
+        compressedBytes = 0;
+        return compression.createCompressStream();
+      },
+      () => new Transform({
+        transform(chunk, encoding, callback) {
+          compressedBytes += chunk.length;
+          callback(null, chunk);
+        }
+      }),
+      ...transforms
+    ];
+    const hash = await this._copyFileStream(source, storedPath, onProgress, encoders, cancellationToken);
+
+    if (compression.isWorthwhile(size, compressedBytes)) {
+      compression.compressedFiles.add(destination);
+      return hash;
+    }
+    await fs.unlink(storedPath);
+    return this._copyFileStream(source, destination, onProgress, transforms, cancellationToken);
+  }
+
+  /**
+   * Compressed files of a copy, keyed by their original path relative to the backup root
+   */
+  _collectCompressedFiles(compression, rootDir) {
+    const compressedFiles = new Map();
+    if (compression) {
+      for (const destination of compression.compressedFiles) {
+        compressedFiles.set(path.relative(rootDir, destination), compression.algorithm);
+      }
+    }
+    return compressedFiles;
+  }
+
+  /**
+   * Map a file stored in a folder backup back to its original relative path
+   * Compressed files carry an extra extension and are decompressed after any other decoding
+   */
+  _resolveStoredFile(storedPath, transforms, compressedFiles) {
+    const extension = path.extname(storedPath);
+    const originalPath = extension ? storedPath.slice(0, -extension.length) : storedPath;
+    const algorithm = compressedFiles && extension ? compressedFiles.get(originalPath) : null;
+    if (!algorithm || FileCompression.getExtension(algorithm) !== extension) {
+      return { relativePath: storedPath, transforms };
     }
+    return {
+      relativePath: originalPath,
+      transforms: [...transforms, () => FileCompression.createDecompressStream(algorithm)]
+    };
   }
 
   /**
    * Recursively copy files and directories with deselected item filtering
+   * Symlinks below the top-level item are handled according to the symlink policy, and ignored or filtered entries below it are skipped
+   * send ({ sync, mirror, verifyCopies, results }) holds the send options:
+   * - sync skips files that are already up to date (reported as skipped file_complete events)
+   * - mirror also deletes destination entries whose name no longer exists in the source directory, counting
+   *   them in results.deletedCount; entries that still exist but are excluded are left alone, and so are
+   *   renamed copies (send.renamed) of files that are still in the source
+   * - verifyCopies re-hashes every copy against the hash taken from the copy stream; a copy that does not
+   *   match is deleted and the item fails
+   * - policy (with askConflict) decides what happens to files that already exist, see _resolveSendConflict
    */
-  async _copyItemRecursiveFiltered(source, destination, onProgress, deselected = []) {
-    // Check if this item should be excluded (deselected)
-    // An item should be excluded if it IS a deselected item or is INSIDE a deselected directory
-    const shouldExclude = deselected.some(deselectedPath => {
-      return source === deselectedPath || source.startsWith(deselectedPath + path.sep);
-    });
+  async _copyItemRecursiveFiltered(source, destination, onProgress, deselected = [], cancellationToken = null, symlinks = 'follow', ignore = null, filter = null, send = null, ancestors = null) {
+    this._throwIfCancelled(cancellationToken);
 
-    if (shouldExclude) {
+    if (this._isDeselected(source, deselected)) {
       console.log('FileOperations: Skipping deselected item during send:', source);
       return;
     }
 
-    const stat = await fs.stat(source);
+    const stat = ancestors ? await this._statEntry(source, symlinks, ancestors) : await fs.stat(source);
+    if (!stat || this._isExcludedEntry(ancestors, source, stat, ignore, filter)) return;
+
+    if (send && send.sync) {
+      // A destination of another type (a file where the source has a folder, or the other way round) is replaced
+      const destStat = await fs.lstat(destination).catch(() => null);
+      if (destStat && destStat.isDirectory() !== stat.isDirectory()) {
+        await this._removeRecursive(destination);
+      }
+    }
 
     if (stat.isDirectory()) {
       await fs.mkdir(destination, { recursive: true });
 
-      const entries = await fs.readdir(source);
-      for (const entry of entries) {
+      const childAncestors = new Set(ancestors).add(this._fileId(stat));
+      const entries = await this.pool.run(() => fs.readdir(source));
+      await WorkerPool.settle(entries.map(entry => {
         const srcPath = path.join(source, entry);
         const destPath = path.join(destination, entry);
-        await this._copyItemRecursiveFiltered(srcPath, destPath, onProgress, deselected);
+        return this._copyItemRecursiveFiltered(srcPath, destPath, onProgress, deselected, cancellationToken, symlinks, ignore, filter, send, childAncestors);
+      }));
+      if (send && send.mirror) {
+        await this._deleteStaleEntries(destination, new Set(entries), send, cancellationToken);
+      }
+      await this._applyMetadata(destination, stat);
+    } else if (stat.isSymbolicLink()) {
+      const skipped = await this.pool.run(async () => {
+        this._throwIfCancelled(cancellationToken);
+        // Syncs leave a link alone when it already points at the same target
+        if (send && send.sync) {
+          const [target, existingTarget] = await Promise.all([
+            fs.readlink(source),
+            fs.readlink(destination).catch(() => null)
+          ]);
+          if (existingTarget === target) {
+            return true;
+          }
+        }
+        await this._copySymlink(source, destination);
+        return false;
+      });
+      if (onProgress) {
+        onProgress({ type: 'file_complete', source, destination, bytes: 0, skipped });
       }
     } else {
+      // Resolved before taking a pool slot, as asking the user can take a while
+      const { conflict, target } = send
+        ? await this._resolveSendConflict(source, stat, destination, send, cancellationToken)
+        : { conflict: null, target: destination };
+      const skipped = conflict === 'unchanged' || conflict === 'skip';
+
       // File copy with streaming
-      await this._copyFileStream(source, destination, onProgress);
+      const verified = !skipped && await this.pool.run(async () => {
+        this._throwIfCancelled(cancellationToken);
+        const hash = await this._copyFileStream(source, target, onProgress, [], cancellationToken);
+        if (!send || !send.verifyCopies) {
+          return false;
+        }
+        const copyHash = await this._calculateFileHash(target);
+        if (copyHash !== hash) {
+          // Never leave a corrupt copy looking like a good one
+          await fs.unlink(target).catch(() => {});
+          throw new Error(`Hash mismatch for ${target}: expected ${hash}, got ${copyHash}`);
+        }
+        return true;
+      });
+      if (onProgress) {
+        onProgress({ type: 'file_complete', source, destination: target, bytes: stat.size, skipped, verified, conflict });
+      }
+    }
+  }
+
+  /**
+   * Decide what a send does with a file whose destination may already exist
+   * Resolves with { conflict, target }: conflict is null when the destination is free, 'unchanged' when a sync
+   * finds it up to date, or the resolution 'overwrite', 'skip' or 'rename'; target is where to copy the file
+   * A symlink at the destination is an existing entry like a file; overwriting it replaces the link itself
+   * instead of writing through it
+   */
+  async _resolveSendConflict(source, stat, destination, send, cancellationToken = null) {
+    const destStat = await fs.lstat(destination).catch(() => null);
+    if (!destStat || !(destStat.isFile() || destStat.isSymbolicLink())) {
+      return { conflict: null, target: destination };
+    }
+    if (send.sync && await this.pool.run(() => this._isUpToDate(source, stat, destination))) {
+      return { conflict: 'unchanged', target: destination };
+    }
+
+    let resolution = this._resolveConflict(send.policy, stat, destStat);
+    if (resolution === 'ask') {
+      const conflict = {
+        source,
+        destination,
+        sourceSize: stat.size,
+        sourceMtime: stat.mtime,
+        destinationSize: destStat.size,
+        destinationMtime: destStat.mtime
+      };
+      const question = send.pendingQuestion.then(async () => {
+        this._throwIfCancelled(cancellationToken);
+        // Once a question is dismissed, files still waiting for one are not asked about
+        if (send.askDismissed) throw this._cancellationError();
+        const answer = await send.askConflict(conflict);
+        if (!['overwrite', 'skip', 'rename'].includes(answer)) {
+          send.askDismissed = true;
+          throw this._cancellationError();
+        }
+        return answer;
+      });
+      send.pendingQuestion = question.catch(() => {});
+      resolution = await question;
+    }
+
+    let target = destination;
+    if (resolution === 'rename') {
+      target = await this._nextFreeName(destination, send.renamed);
+      send.renamed.set(target, destination);
+    } else if (resolution === 'overwrite' && destStat.isSymbolicLink()) {
+      await fs.unlink(destination);
+    }
+    send.results.conflicts.push({ source, destination, resolution, target });
+    return { conflict: resolution, target };
+  }
+
+  /**
+   * What a conflict policy does with an existing destination file: 'overwrite', 'skip', 'rename' or 'ask'
+   * 'newer' overwrites only when the source was modified later, 'larger' only when the source is bigger
+   */
+  _resolveConflict(policy, sourceStat, destStat) {
+    switch (policy) {
+      case 'skip':
+        return 'skip';
+      case 'newer':
+        return sourceStat.mtimeMs > destStat.mtimeMs + MTIME_TOLERANCE_MS ? 'overwrite' : 'skip';
+      case 'larger':
+        return sourceStat.size > destStat.size ? 'overwrite' : 'skip';
+      case 'rename':
+      case 'ask':
+        return policy;
+      default:
+        return 'overwrite';
+    }
+  }
+
+  /**
+   * First free "name (N).ext" next to filePath, also avoiding names already handed out in this send
+   * A name held by a symlink, even a dangling one, is not free
+   */
+  async _nextFreeName(filePath, taken = new Set()) {
+    const { dir, name, ext } = path.parse(filePath);
+    for (let n = 1; ; n++) {
+      const candidate = path.join(dir, `${name} (${n})${ext}`);
+      if (!taken.has(candidate) && !(await fs.lstat(candidate).catch(() => null))) {
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * Whether destination already holds the same file as source
+   * Equal size and modification time is trusted; equal size with a different time is settled by hashing
+   * both, and a match then gets the source's timestamps so the next sync can skip the hashing
+   */
+  async _isUpToDate(source, sourceStat, destination) {
+    let destStat;
+    try {
+      destStat = await fs.lstat(destination);
+    } catch (error) {
+      return false;
+    }
+    if (!destStat.isFile() || destStat.size !== sourceStat.size) {
+      return false;
+    }
+    if (Math.abs(destStat.mtimeMs - sourceStat.mtimeMs) <= MTIME_TOLERANCE_MS) {
+      return true;
+    }
+
+    const [sourceHash, destHash] = await Promise.all([
+      this._calculateFileHash(source),
+      this._calculateFileHash(destination)
+    ]);
+    if (sourceHash !== destHash) {
+      return false;
+    }
+    await this._applyMetadata(destination, sourceStat);
+    return true;
+  }
+
+  /**
+   * Mirror sends: delete entries of a destination directory that are not among the source entry names
+   * Deleted files are counted in results.deletedCount (a stale folder counts every file inside it);
+   * copies the rename conflict policy made, in this or a recorded earlier send, are kept as long as the
+   * file they were renamed from is still in the source
+   */
+  async _deleteStaleEntries(destination, sourceEntries, send, cancellationToken = null) {
+    const { results, renamed } = send;
+    const destEntries = await fs.readdir(destination);
+    for (const entry of destEntries) {
+      const stalePath = path.join(destination, entry);
+      if (sourceEntries.has(entry)) continue;
+      if (renamed.has(stalePath) && sourceEntries.has(path.basename(renamed.get(stalePath)))) continue;
+      this._throwIfCancelled(cancellationToken);
+
+      const staleStat = await fs.lstat(stalePath);
+      const { files } = staleStat.isDirectory()
+        ? await this._countFilesRecursive(stalePath, [], 'preserve')
+        : { files: 1 };
+      await this._removeRecursive(stalePath);
+      results.deletedCount += files;
+      console.log('FileOperations: Deleted stale item during mirror:', stalePath);
     }
   }
 
   /**
    * Stream-based file copying for reliability
+   * Content is piped through the given transform factories, e.g. to encrypt or decrypt it
+   * Resolves with the SHA-256 of the source content, hashed from the same read stream
+   * On cancellation (at the next chunk) or a read, transform or write error every stream is destroyed and the
+   * partial destination is deleted
+   * The copy gets the source's modification/access times and permission bits
    */
-  async _copyFileStream(source, destination, onProgress) {
+  async _copyFileStream(source, destination, onProgress, transforms = [], cancellationToken = null) {
     return this._retryOperation(async () => {
+      await this._makeWritable(destination);
+
       return new Promise((resolve, reject) => {
         const readStream = createReadStream(source);
+        const transformStreams = transforms.map(createTransform => createTransform());
         const writeStream = createWriteStream(destination);
+        const streams = [readStream, ...transformStreams, writeStream];
+        const hash = crypto.createHash('sha256');
 
         let bytesCopied = 0;
-        const totalBytes = fsSync.statSync(source).size;
+        const sourceStat = fsSync.statSync(source);
+        const totalBytes = sourceStat.size;
+
+        // The first failure wins; stream errors caused by tearing the pipeline down are ignored
+        // The destination is only deleted once the write stream has closed its file, and not at all when it
+        // could not be opened, as nothing was written to it then
+        let failure = null;
+        let writeOpened = false;
+        let writeClosed = false;
+        writeStream.once('open', () => { writeOpened = true; });
+        writeStream.once('close', () => { writeClosed = true; });
+        const fail = (error) => {
+          if (failure) return;
+          failure = error;
+          const removePartial = () => {
+            const removal = writeOpened ? fs.unlink(destination).catch(() => {}) : Promise.resolve();
+            removal.then(() => reject(error));
+          };
+          if (writeClosed) {
+            removePartial();
+          } else {
+            writeStream.once('close', removePartial);
+          }
+          for (const stream of streams) {
+            stream.destroy();
+          }
+        };
 
         readStream.on('data', (chunk) => {
+          if (failure) return;
+          try {
+            this._throwIfCancelled(cancellationToken);
+          } catch (error) {
+            fail(error);
+            return;
+          }
+          hash.update(chunk);
           bytesCopied += chunk.length;
           if (onProgress) {
             onProgress({
@@ -446,62 +1141,264 @@ class FileOperations {
           }
         });
 
-        readStream.on('error', reject);
-        writeStream.on('error', reject);
+        for (const stream of streams) {
+          stream.on('error', fail);
+        }
 
         writeStream.on('finish', async () => {
           try {
-            // Verify file size
+            // Verify file size (transformed content differs in size and is hash-checked instead)
             const destStat = await fs.stat(destination);
-            if (destStat.size !== totalBytes) {
+            if (transforms.length === 0 && destStat.size !== totalBytes) {
               throw new Error(`File size mismatch: expected ${totalBytes}, got ${destStat.size}`);
             }
-            resolve();
+            await this._applyMetadata(destination, sourceStat);
+            resolve(hash.digest('hex'));
           } catch (error) {
-            reject(error);
+            fail(error);
           }
         });
 
-        readStream.pipe(writeStream);
+        streams.reduce((stream, next) => stream.pipe(next));
       });
     });
   }
 
   /**
-   * Verify packed backup
+   * Give a copy the timestamps and permission bits of its source
+   * Failures (e.g. on file systems without POSIX permissions) are only logged; metadata verification reports them
    */
-  async _verifyPackedBackup(sources, tempDir) {
-    try {
-      // Count expected files and bytes from all sources (files or directories)
-      let expectedFiles = 0;
-      let expectedBytes = 0;
+  async _applyMetadata(destination, stat) {
+    // Directories stay writable by their owner so backups can still be pruned and cleaned up
+    const mode = stat.isDirectory() ? (stat.mode & 0o7777) | 0o700 : stat.mode & 0o7777;
+    await fs.chmod(destination, mode).catch(error => {
+      console.warn(`FileOperations: Could not preserve permissions of ${destination}: ${error.message}`);
+    });
+    await fs.utimes(destination, stat.atime, stat.mtime).catch(error => {
+      console.warn(`FileOperations: Could not preserve timestamps of ${destination}: ${error.message}`);
+    });
+  }
 
-      for (const source of sources) {
-        const counts = await this._countSourceFiles(source);
-        expectedFiles += counts.files;
-        expectedBytes += counts.bytes;
+  /**
+   * Let a copy replace an existing read-only file (copies keep their source's permissions, so they can be read-only)
+   */
+  async _makeWritable(filePath) {
+    try {
+      await fs.access(filePath, fsSync.constants.W_OK);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        await fs.chmod(filePath, 0o600).catch(() => {});
       }
+    }
+  }
 
-      // Count actual files and bytes in temp
-      const actual = await this._countFilesRecursive(tempDir);
-
-      // Allow small tolerance for file system differences
-      const fileTolerance = 5;
-      const byteTolerance = 1024;
-
-      const fileDiff = Math.abs(expectedFiles - actual.files);
-      const byteDiff = Math.abs(expectedBytes - actual.bytes);
+  /**
+   * Whether a stored file still has the recorded modification time and permission bits
+   * Permission bits are not compared on Windows, which only knows a read-only flag
+   */
+  _metadataMatches(expected, stat) {
+    if (expected.mtime && Math.abs(stat.mtime.getTime() - expected.mtime.getTime()) > MTIME_TOLERANCE_MS) {
+      return false;
+    }
+    if (expected.mode !== undefined && process.platform !== 'win32' && (stat.mode & 0o7777) !== expected.mode) {
+      return false;
+    }
+    return true;
+  }
 
-      if (fileDiff > fileTolerance || byteDiff > byteTolerance) {
-        return {
-          valid: false,
-          message: `Verification failed: expected ${expectedFiles} files (${expectedBytes} bytes), got ${actual.files} files (${actual.bytes} bytes)`
-        };
+  /**
+   * Relative paths of stored files whose timestamps or permissions differ from the recorded ones
+   * rootDir is the backup folder, or the backup file itself when isFile is set
+   * Links and missing files are left to the hash check
+   */
+  async _findMetadataMismatches(fileStats, rootDir, isFile, compressedFiles = null) {
+    const mismatches = [];
+    for (const [relativePath, expected] of fileStats) {
+      if (expected.symlink !== undefined) continue;
+      const algorithm = compressedFiles ? compressedFiles.get(relativePath) : null;
+      const storedPath = isFile ? rootDir : path.join(rootDir, relativePath) + FileCompression.getExtension(algorithm);
+      const stat = await fs.stat(storedPath).catch(() => null);
+      if (stat && !this._metadataMatches(expected, stat)) {
+        mismatches.push(relativePath);
       }
-
-      return { valid: true };
-    } catch (error) {
-      return { valid: false, message: `Verification error: ${error.message}` };
+    }
+    return mismatches;
+  }
+
+  /**
+   * Fail a backup whose copies lost the timestamps or permissions of their sources
+   */
+  async _assertMetadataPreserved(fileStats, rootDir, isFile, compressedFiles) {
+    const mismatches = await this._findMetadataMismatches(fileStats, rootDir, isFile, compressedFiles);
+    if (mismatches.length > 0) {
+      throw new Error(`Metadata verification failed: ${mismatches.length} file(s) did not keep their modification time or permissions, e.g. ${mismatches[0]}`);
+    }
+    console.log('FileOperations: Metadata verification passed');
+  }
+
+  /**
+   * Stat an entry found inside a selected directory according to the symlink policy
+   * Returns null for entries to leave out: skipped or broken links, and links looping back to an ancestor directory
+   * Preserved links keep their lstat result so callers can tell them apart
+   */
+  async _statEntry(fullPath, symlinks, ancestors) {
+    const linkStat = await fs.lstat(fullPath);
+    if (!linkStat.isSymbolicLink()) {
+      return linkStat;
+    }
+    if (symlinks === 'skip') {
+      console.log('FileOperations: Skipping symlink:', fullPath);
+      return null;
+    }
+    if (symlinks === 'preserve') {
+      return linkStat;
+    }
+
+    let stat;
+    try {
+      stat = await fs.stat(fullPath);
+    } catch (error) {
+      console.warn(`FileOperations: Skipping broken symlink ${fullPath}: ${error.message}`);
+      return null;
+    }
+    if (stat.isDirectory() && ancestors.has(this._fileId(stat))) {
+      console.warn('FileOperations: Skipping symlink that loops back to a parent directory:', fullPath);
+      return null;
+    }
+    return stat;
+  }
+
+  /**
+   * Identity of a file or directory on disk, used to detect symlink loops
+   */
+  _fileId(stat) {
+    return `${stat.dev}:${stat.ino}`;
+  }
+
+  /**
+   * Whether a path is a deselected item or lies inside a deselected folder
+   */
+  _isDeselected(itemPath, deselected) {
+    return deselected.some(deselectedPath => itemPath === deselectedPath || itemPath.startsWith(deselectedPath + path.sep));
+  }
+
+  /**
+   * Whether an entry found while walking a selected item matches the ignore rules or fails the file filter
+   * ancestors is null for the selected item itself, which is never left out
+   */
+  _isExcludedEntry(ancestors, fullPath, stat, ignore = null, filter = null) {
+    if (!ancestors) {
+      return false;
+    }
+    if (ignore && ignore.isIgnored(fullPath, stat.isDirectory())) {
+      console.log('FileOperations: Skipping ignored item:', fullPath);
+      return true;
+    }
+    if (filter && !stat.isDirectory() && !filter.matches(fullPath, stat)) {
+      console.log('FileOperations: Skipping filtered item:', fullPath);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Recreate a symlink at destination (replacing whatever is there) and return its target
+   */
+  async _copySymlink(source, destination) {
+    const target = await fs.readlink(source);
+    const targetStat = await fs.stat(source).catch(() => null);
+    await fs.unlink(destination).catch(() => {});
+    await this._createSymlink(target, destination, Boolean(targetStat && targetStat.isDirectory()));
+    return target;
+  }
+
+  /**
+   * Create a symlink (the link type only matters on Windows, where directory links must be created as such)
+   */
+  async _createSymlink(target, linkPath, isDirectory) {
+    await fs.symlink(target, linkPath, isDirectory ? 'dir' : 'file');
+  }
+
+  /**
+   * Hash recorded for a preserved symlink: the SHA-256 of its target path
+   */
+  _hashLinkTarget(target) {
+    return crypto.createHash('sha256').update(target).digest('hex');
+  }
+
+  /**
+   * Report the start of a backup or send phase (scanning, copying, verifying, archiving, moving, finishing)
+   */
+  _reportPhase(onProgress, phase, details = {}) {
+    if (onProgress) {
+      onProgress({ type: 'phase', phase, ...details });
+    }
+  }
+
+  /**
+   * Stop with an ECANCELED error once cancellation has been requested
+   */
+  _throwIfCancelled(cancellationToken) {
+    if (cancellationToken && cancellationToken.isCancellationRequested) {
+      throw this._cancellationError();
+    }
+  }
+
+  _cancellationError() {
+    const error = new Error('Operation cancelled');
+    error.code = 'ECANCELED';
+    return error;
+  }
+
+  /**
+   * Stream factories that encode file content for storage in a backup
+   */
+  _encoders(encryption) {
+    return encryption ? [() => encryption.createEncryptStream()] : [];
+  }
+
+  /**
+   * Stream factories that turn stored backup content back into the original bytes
+   */
+  _decoders(encryption) {
+    return encryption ? [() => encryption.createDecryptStream()] : [];
+  }
+
+  /**
+   * Verify packed backup
+   */
+  async _verifyPackedBackup(sources, tempDir) {
+    try {
+      // Count expected files and bytes from all sources (files or directories)
+      let expectedFiles = 0;
+      let expectedBytes = 0;
+
+      for (const source of sources) {
+        const counts = await this._countSourceFiles(source);
+        expectedFiles += counts.files;
+        expectedBytes += counts.bytes;
+      }
+
+      // Count actual files and bytes in temp
+      const actual = await this._countFilesRecursive(tempDir);
+
+      // Allow small tolerance for file system differences
+      const fileTolerance = 5;
+      const byteTolerance = 1024;
+
+      const fileDiff = Math.abs(expectedFiles - actual.files);
+      const byteDiff = Math.abs(expectedBytes - actual.bytes);
+
+      if (fileDiff > fileTolerance || byteDiff > byteTolerance) {
+        return {
+          valid: false,
+          message: `Verification failed: expected ${expectedFiles} files (${expectedBytes} bytes), got ${actual.files} files (${actual.bytes} bytes)`
+        };
+      }
+
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, message: `Verification error: ${error.message}` };
     }
   }
 
@@ -563,30 +1460,52 @@ class FileOperations {
     }
   }
 
+  /**
+   * Count files and bytes of all sources, leaving out deselected items
+   */
+  async _countSources(sources, deselected = [], symlinks = 'follow', ignore = null, filter = null) {
+    let files = 0;
+    let bytes = 0;
+    for (const source of sources) {
+      const stat = await fs.stat(source);
+      const counts = stat.isDirectory()
+        ? await this._countFilesRecursive(source, deselected, symlinks, ignore, filter)
+        : { files: 1, bytes: stat.size };
+      files += counts.files;
+      bytes += counts.bytes;
+    }
+    return { totalFiles: files, totalBytes: bytes };
+  }
+
   /**
    * Count files and bytes recursively (assumes input is a directory)
+   * Preserved symlinks count as files without bytes; ignored and filtered entries are not counted
    */
-  async _countFilesRecursive(dirPath) {
+  async _countFilesRecursive(dirPath, deselected = [], symlinks = 'follow', ignore = null, filter = null) {
     let files = 0;
     let bytes = 0;
 
-    async function count(dir) {
-      const entries = await fs.readdir(dir);
+    const count = async (dir, ancestors) => {
+      const entries = await this.pool.run(() => fs.readdir(dir));
 
-      for (const entry of entries) {
+      await WorkerPool.settle(entries.map(async (entry) => {
         const fullPath = path.join(dir, entry);
-        const stat = await fs.stat(fullPath);
+        if (this._isDeselected(fullPath, deselected)) {
+          return;
+        }
+        const stat = await this._statEntry(fullPath, symlinks, ancestors);
+        if (!stat || this._isExcludedEntry(ancestors, fullPath, stat, ignore, filter)) return;
 
         if (stat.isDirectory()) {
-          await count(fullPath);
+          await count(fullPath, new Set(ancestors).add(this._fileId(stat)));
         } else {
           files++;
-          bytes += stat.size;
+          bytes += stat.isSymbolicLink() ? 0 : stat.size;
         }
-      }
-    }
+      }));
+    };
 
-    await count(dirPath);
+    await count(dirPath, new Set([this._fileId(await fs.stat(dirPath))]));
     return { files, bytes };
   }
 
@@ -594,7 +1513,8 @@ class FileOperations {
    * Remove directory recursively
    */
   async _removeRecursive(dirPath) {
-    const stat = await fs.stat(dirPath);
+    // lstat: a symlink is removed itself, never the directory it points to
+    const stat = await fs.lstat(dirPath);
 
     if (stat.isDirectory()) {
       const entries = await fs.readdir(dirPath);
@@ -608,6 +1528,61 @@ class FileOperations {
     }
   }
 
+  /**
+   * Move an existing backup (and its manifest) aside so it can be restored if its replacement fails
+   */
+  async _displaceBackup(backupPath) {
+    const displacedPath = path.join(
+      path.dirname(backupPath),
+      `._tmp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${path.basename(backupPath)}`
+    );
+    const manifestPath = FileOperations.getManifestPath(backupPath);
+    const hasManifest = fsSync.existsSync(manifestPath);
+
+    await fs.rename(backupPath, displacedPath);
+    if (hasManifest) {
+      await fs.rename(manifestPath, FileOperations.getManifestPath(displacedPath));
+    }
+    console.log('FileOperations: Moved existing backup aside:', displacedPath);
+    return { originalPath: backupPath, displacedPath, hasManifest };
+  }
+
+  /**
+   * Delete a backup that was set aside once its replacement is complete
+   */
+  async _discardDisplacedBackup(displaced) {
+    try {
+      await this._removeRecursive(displaced.displacedPath);
+      if (displaced.hasManifest) {
+        await fs.unlink(FileOperations.getManifestPath(displaced.displacedPath));
+      }
+    } catch (error) {
+      console.warn('FileOperations: Failed to remove replaced backup:', displaced.displacedPath, error);
+    }
+  }
+
+  /**
+   * Remove a partially written backup and move back the backup it was about to replace
+   */
+  async _rollbackBackup(backupPath, displaced) {
+    try {
+      if (fsSync.existsSync(backupPath)) {
+        await this._removeRecursive(backupPath);
+        console.log('FileOperations: Removed partial backup:', backupPath);
+      }
+      if (displaced) {
+        await fs.rename(displaced.displacedPath, backupPath);
+        if (displaced.hasManifest) {
+          await fs.rename(FileOperations.getManifestPath(displaced.displacedPath), FileOperations.getManifestPath(backupPath));
+        }
+        console.log('FileOperations: Restored previous backup:', backupPath);
+      }
+    } catch (error) {
+      const location = displaced ? ` The previous backup is kept at: ${displaced.displacedPath}` : '';
+      console.error(`FileOperations: Rollback of ${backupPath} failed.${location}`, error);
+    }
+  }
+
   /**
    * Move temp directory to final destination
    */
@@ -617,7 +1592,7 @@ class FileOperations {
     } catch (error) {
       // Rename failed (probably cross-device), try copy + delete
       console.log('FileOperations: Rename failed, falling back to copy+delete');
-      await this._copyItemRecursive(tempDir, finalDst);
+      await this._copyItemRecursive(tempDir, finalDst, { symlinks: 'preserve' });
       await this._removeRecursive(tempDir);
     }
   }
@@ -642,14 +1617,30 @@ class FileOperations {
     }
   }
 
+  /**
+   * SHA-256 hash (hex) of a file's content, for callers outside this class
+   */
+  async hashFile(filePath) {
+    return this._calculateFileHash(filePath);
+  }
+
   /**
    * Calculate SHA-256 hash for a file using streaming
+   * With decoding transforms the hash is of the decoded content
    */
-  async _calculateFileHash(filePath) {
+  async _calculateFileHash(filePath, transforms = []) {
     return this._retryOperation(async () => {
       return new Promise((resolve, reject) => {
         const hash = crypto.createHash('sha256');
-        const stream = createReadStream(filePath);
+        const onError = (error) => {
+          reject(new Error(`Failed to hash file ${filePath}: ${error.message}`));
+        };
+
+        const stream = transforms.reduce((current, createTransform) => {
+          const transform = createTransform();
+          transform.on('error', onError);
+          return current.pipe(transform);
+        }, createReadStream(filePath).on('error', onError));
 
         stream.on('data', (chunk) => {
           hash.update(chunk);
@@ -658,63 +1649,81 @@ class FileOperations {
         stream.on('end', () => {
           resolve(hash.digest('hex'));
         });
-
-        stream.on('error', (error) => {
-          reject(new Error(`Failed to hash file ${filePath}: ${error.message}`));
-        });
       });
     });
   }
 
   /**
    * Calculate hashes for all files in a directory recursively
+   * Options:
+   * - deselected: paths left out along with everything inside them
+   * - fileStats: filled with { size, mtime } (plus symlink for preserved links) per relative path
+   * - transforms / compressedFiles: decode stored backup content before hashing (see _resolveStoredFile)
+   * - symlinks: symlink policy; preserved links are hashed by their target path (see _hashLinkTarget)
+   * - ignore: IgnoreRules leaving out matching entries below dirPath
+   * - filter: FileFilter leaving out files by extension, size or age
+   * - cancellationToken: stops the walk once cancellation is requested
+   * Unreadable files are skipped, but a cancellation stops the whole walk
    */
-  async _calculateDirectoryHashes(dirPath, basePath = dirPath, deselected = []) {
+  async _calculateDirectoryHashes(dirPath, basePath = dirPath, options = {}) {
+    const { deselected = [], fileStats = null, transforms = [], compressedFiles = null, symlinks = 'follow', ignore = null, filter = null, cancellationToken = null } = options;
     const hashes = new Map();
 
-    const hashRecursive = async (currentPath, relativeBase) => {
-      const entries = await fs.readdir(currentPath, { withFileTypes: true });
+    const hashRecursive = async (currentPath, relativeBase, ancestors) => {
+      const entries = await this.pool.run(() => fs.readdir(currentPath));
 
-      for (const entry of entries) {
-        const fullPath = path.join(currentPath, entry.name);
+      await WorkerPool.settle(entries.map(async (entry) => {
+        const fullPath = path.join(currentPath, entry);
         const relativePath = path.relative(relativeBase, fullPath);
 
-        // Check if this path should be excluded (deselected)
-        const shouldExclude = deselected.some(deselectedPath => {
-          if (deselectedPath === fullPath || deselectedPath.startsWith(fullPath + path.sep)) {
-            return true;
-          }
-          return false;
-        });
-
-        if (shouldExclude) {
+        if (this._isDeselected(fullPath, deselected)) {
           console.log(`FileOperations: Excluding deselected item: ${fullPath}`);
-          continue;
+          return;
         }
 
         try {
-          if (entry.isDirectory()) {
-            await hashRecursive(fullPath, relativeBase);
-          } else if (entry.isFile()) {
-            const fileHash = await this._calculateFileHash(fullPath);
-            hashes.set(relativePath, fileHash);
+          const stat = await this._statEntry(fullPath, symlinks, ancestors);
+          if (!stat || this._isExcludedEntry(ancestors, fullPath, stat, ignore, filter)) return;
+
+          if (stat.isDirectory()) {
+            await hashRecursive(fullPath, relativeBase, new Set(ancestors).add(this._fileId(stat)));
+          } else if (stat.isSymbolicLink()) {
+            const target = await fs.readlink(fullPath);
+            hashes.set(relativePath, this._hashLinkTarget(target));
+            if (fileStats) {
+              fileStats.set(relativePath, { size: 0, mtime: stat.mtime, symlink: target });
+            }
+          } else if (stat.isFile()) {
+            const stored = this._resolveStoredFile(relativePath, transforms, compressedFiles);
+            const fileHash = await this.pool.run(() => {
+              this._throwIfCancelled(cancellationToken);
+              return this._calculateFileHash(fullPath, stored.transforms);
+            });
+            hashes.set(stored.relativePath, fileHash);
+            if (fileStats) {
+              fileStats.set(stored.relativePath, { size: stat.size, mtime: stat.mtime, mode: stat.mode & 0o7777 });
+            }
           }
-          // Skip symlinks and other file types for now
+          // Other file types (sockets, devices) are not backed up
         } catch (error) {
+          if (FileOperations.isCancellation(error)) throw error;
           console.warn(`FileOperations: Skipping ${fullPath} during hash calculation: ${error.message}`);
           // Continue with other files rather than failing completely
         }
-      }
+      }));
     };
 
-    await hashRecursive(dirPath, basePath);
+    await hashRecursive(dirPath, basePath, new Set([this._fileId(await fs.stat(dirPath))]));
     return hashes;
   }
 
   /**
    * Calculate hashes for sources (files or directories)
+   * options (symlinks, ignore, filter, cancellationToken) are passed on to _calculateDirectoryHashes
+   * options.sourcePaths, when given, is filled with the source file path of every key
    */
-  async _calculateSourceHashes(sources, isPacked = false, deselected = []) {
+  async _calculateSourceHashes(sources, isPacked = false, deselected = [], fileStats = null, options = {}) {
+    const { sourcePaths = null, ...hashOptions } = options;
     const sourceHashes = new Map();
 
     for (const source of sources) {
@@ -725,14 +1734,27 @@ class FileOperations {
           // For directories, store hashes with relative paths
           // For packed backups, include the source directory name as prefix to match copied structure
           // For single backups, use relative paths only (not including directory name)
-          const dirHashes = await this._calculateDirectoryHashes(source, source, deselected);
+          const dirStats = fileStats ? new Map() : null;
+          const dirHashes = await this._calculateDirectoryHashes(source, source, { ...hashOptions, deselected, fileStats: dirStats });
           for (const [relativePath, hash] of dirHashes) {
             const key = isPacked ? path.join(path.basename(source), relativePath) : relativePath;
             sourceHashes.set(key, hash);
+            if (fileStats) {
+              fileStats.set(key, dirStats.get(relativePath));
+            }
+            if (sourcePaths) {
+              sourcePaths.set(key, path.join(source, relativePath));
+            }
           }
         } else if (stat.isFile()) {
           const fileHash = await this._calculateFileHash(source);
           sourceHashes.set(path.basename(source), fileHash);
+          if (fileStats) {
+            fileStats.set(path.basename(source), { size: stat.size, mtime: stat.mtime, mode: stat.mode & 0o7777 });
+          }
+          if (sourcePaths) {
+            sourcePaths.set(path.basename(source), source);
+          }
         }
       } catch (error) {
         throw new Error(`Failed to calculate hash for source ${source}: ${error.message}`);
@@ -744,8 +1766,9 @@ class FileOperations {
 
   /**
    * Verify destination files against source hashes
+   * Symlinks in the destination were written by a 'preserve' copy, so they are compared as links
    */
-  async _verifyHashesAgainstSources(sourceHashes, destination, isPacked) {
+  async _verifyHashesAgainstSources(sourceHashes, destination, isPacked, transforms = [], compressedFiles = null, cancellationToken = null) {
     let destHashes = new Map();
 
     try {
@@ -754,10 +1777,10 @@ class FileOperations {
       if (isPacked || destStat.isDirectory()) {
         // For packed backups OR when destination is a directory (single directory backup)
         // Use relative paths only (same as source) for comparison
-        destHashes = await this._calculateDirectoryHashes(destination);
+        destHashes = await this._calculateDirectoryHashes(destination, destination, { transforms, compressedFiles, symlinks: 'preserve', cancellationToken });
       } else {
         // For true single file backups (destination is a file)
-        const fileHash = await this._calculateFileHash(destination);
+        const fileHash = await this._calculateFileHash(destination, transforms);
         // For single files, the sourceHashes has the original filename as key
         // We need to find the corresponding source hash
         const sourceKeys = Array.from(sourceHashes.keys());
@@ -766,53 +1789,822 @@ class FileOperations {
         }
       }
 
-      // Compare all hashes
-      const mismatchedFiles = [];
-      const missingFiles = [];
-      const extraFiles = [];
+      return this._compareHashMaps(sourceHashes, destHashes);
 
-      // Check that all source files are present in destination with matching hashes
-      for (const [sourcePath, sourceHash] of sourceHashes) {
-        const destHash = destHashes.get(sourcePath);
-        if (!destHash) {
-          missingFiles.push(sourcePath);
-        } else if (destHash !== sourceHash) {
-          mismatchedFiles.push(sourcePath);
+    } catch (error) {
+      if (FileOperations.isCancellation(error)) throw error;
+      return { valid: false, message: `Hash verification error: ${error.message}` };
+    }
+  }
+
+  /**
+   * Path of the manifest that describes a backup
+   */
+  static getManifestPath(backupPath) {
+    return `${backupPath}${MANIFEST_SUFFIX}`;
+  }
+
+  /**
+   * Write the JSON manifest next to a finished backup
+   */
+  async _writeManifest(backupPath, details) {
+    const { kind = 'backup', version, suffix, packed, format, sources, deselected, sourceHashes, fileStats, encryption = null, compressedFiles = null, symlinks = null, ignoreFiles = [], filters = null } = details;
+
+    // Only record exclusions that actually fall inside the backed-up sources
+    const exclusions = deselected.filter(deselectedPath =>
+      sources.some(source => deselectedPath === source || deselectedPath.startsWith(source + path.sep))
+    );
+
+    const files = Array.from(sourceHashes.keys()).sort().map(relativePath => {
+      const stat = fileStats.get(relativePath) || {};
+      const compression = compressedFiles ? compressedFiles.get(relativePath) : null;
+      return {
+        path: relativePath.split(path.sep).join('/'),
+        size: stat.size,
+        mtime: stat.mtime ? stat.mtime.toISOString() : null,
+        sha256: sourceHashes.get(relativePath),
+        ...(stat.mode !== undefined ? { mode: stat.mode.toString(8).padStart(4, '0') } : {}),
+        ...(compression ? { compression } : {}),
+        ...(stat.symlink !== undefined ? { symlink: stat.symlink } : {})
+      };
+    });
+
+    const manifest = {
+      manifestVersion: MANIFEST_VERSION,
+      kind,
+      name: path.basename(backupPath),
+      createdAt: new Date().toISOString(),
+      version,
+      suffix,
+      packed,
+      format,
+      encryption,
+      symlinks,
+      sources,
+      deselected: exclusions,
+      ignoreFiles,
+      filters,
+      totalFiles: files.length,
+      totalBytes: files.reduce((sum, file) => sum + (file.size || 0), 0),
+      files
+    };
+
+    const manifestPath = FileOperations.getManifestPath(backupPath);
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+    console.log('FileOperations: Wrote backup manifest:', manifestPath);
+    return manifestPath;
+  }
+
+  /**
+   * Whether a file looks like text (no NUL byte in its first 8 KB), so it can be shown in an editor
+   */
+  async isTextFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(8192);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      return !buffer.subarray(0, bytesRead).includes(0);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read the manifest of a backup, or null when the backup has none
+   */
+  async readManifest(backupPath) {
+    const manifestPath = FileOperations.getManifestPath(backupPath);
+    let content;
+    try {
+      content = await fs.readFile(manifestPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid backup manifest ${manifestPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recorded hashes from a manifest, keyed by platform-specific relative path
+   */
+  _manifestHashes(manifest) {
+    const hashes = new Map();
+    for (const file of manifest.files || []) {
+      hashes.set(file.path.split('/').join(path.sep), file.sha256);
+    }
+    return hashes;
+  }
+
+  /**
+   * Files a manifest records as stored compressed, keyed by platform-specific relative path
+   */
+  _manifestCompressedFiles(manifest) {
+    const compressedFiles = new Map();
+    for (const file of manifest.files || []) {
+      if (file.compression) {
+        compressedFiles.set(file.path.split('/').join(path.sep), file.compression);
+      }
+    }
+    return compressedFiles;
+  }
+
+  /**
+   * Recorded modification time and permission bits per file (as used by _findMetadataMismatches)
+   * Manifests written before permissions were recorded only yield the mtime
+   */
+  _manifestFileStats(manifest) {
+    const fileStats = new Map();
+    for (const file of manifest.files || []) {
+      fileStats.set(file.path.split('/').join(path.sep), {
+        mtime: file.mtime ? new Date(file.mtime) : null,
+        ...(file.mode ? { mode: parseInt(file.mode, 8) } : {}),
+        ...(file.symlink !== undefined ? { symlink: file.symlink } : {})
+      });
+    }
+    return fileStats;
+  }
+
+  /**
+   * List the backups in a directory as { path, name, version, createdAt, date, isDirectory, manifest }
+   * Without naming every backup that carries a manifest is listed, pre-restore safety backups included
+   * With naming ({ folderName, suffix, sources }) only regular backups named like a new backup with that naming
+   * are listed: `${folderName}${suffix}${version}` (plus archive extension) for packed backups and
+   * `${name}${suffix}${version}${ext}` for single-source backups. The name recorded in the manifest is matched,
+   * so renamed backups still count; backups written before manifests existed are matched on their file name
+   * and listed with a null manifest
+   */
+  async listBackups(outputDir, naming = null) {
+    const patterns = naming ? this._backupNamePatterns(naming) : [];
+
+    let entries;
+    try {
+      entries = await fs.readdir(outputDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const manifests = new Set(entries.filter(entry => entry.endsWith(MANIFEST_SUFFIX)));
+
+    const backups = [];
+    for (const entry of entries) {
+      if (entry.endsWith(MANIFEST_SUFFIX) || entry.startsWith('._tmp_')) continue;
+      const hasManifest = manifests.has(entry + MANIFEST_SUFFIX);
+      if (!hasManifest && !naming) continue;
+
+      const backupPath = path.join(outputDir, entry);
+      try {
+        const manifest = hasManifest ? await this.readManifest(backupPath) : null;
+        let version = manifest ? manifest.version : null;
+        if (naming) {
+          // Pre-restore safety backups never share the naming of a backup
+          if (manifest ? (manifest.kind || 'backup') !== 'backup' : entry.includes('.pre-restore-')) continue;
+          const recordedName = (manifest && manifest.name) || entry;
+          const match = patterns.map(pattern => recordedName.match(pattern)).find(Boolean);
+          if (!match) continue;
+          if (!manifest) version = match[1];
         }
+
+        const stat = await fs.stat(backupPath);
+        backups.push({
+          path: backupPath,
+          name: entry,
+          version,
+          createdAt: manifest ? manifest.createdAt : null,
+          date: manifest && manifest.createdAt ? new Date(manifest.createdAt) : stat.mtime,
+          isDirectory: stat.isDirectory(),
+          manifest
+        });
+      } catch (error) {
+        console.warn(`FileOperations: Skipping ${entry} while listing backups: ${error.message}`);
       }
+    }
+
+    return backups;
+  }
+
+  /**
+   * Name patterns of the backups written with a naming; the first group captures the version
+   */
+  _backupNamePatterns({ folderName = '', suffix = '', sources = [] }) {
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const archiveExtensions = ['tar.gz', 'tar', 'zip'].map(format => escape(ArchiveOperations.getExtension(format))).join('|');
+
+    const patterns = [];
+    if (folderName && folderName.trim() !== '') {
+      patterns.push(new RegExp(`^${escape(folderName + suffix)}(.+?)(?:${archiveExtensions})?$`));
+    }
+    for (const source of sources) {
+      const { name, ext } = path.parse(path.basename(source));
+      patterns.push(new RegExp(`^${escape(name + suffix)}(.+)${escape(ext)}$`));
+    }
+    return patterns;
+  }
 
-      // Check for extra files in destination (shouldn't happen in backups)
-      for (const destPath of destHashes.keys()) {
-        if (!sourceHashes.has(destPath)) {
-          extraFiles.push(destPath);
+  /**
+   * Versions already used by backups that share the naming of a new backup
+   */
+  async listVersions(outputDir, { sources, shouldPack, folderName, suffix }) {
+    const naming = shouldPack
+      ? { folderName, suffix }
+      : { suffix, sources: [sources[0]] };
+    const backups = await this.listBackups(outputDir, naming);
+    return backups.map(backup => backup.version);
+  }
+
+  /**
+   * Cheap fingerprint of the sources (relative path, size and mtime of every file)
+   * Used to detect whether anything changed since the last backup without hashing content
+   */
+  async computeSourceFingerprint(sources, deselected = [], symlinks = 'follow', ignore = null, filter = null) {
+    const hash = crypto.createHash('sha256');
+
+    const walk = async (itemPath, ancestors) => {
+      if (this._isDeselected(itemPath, deselected)) return;
+
+      const stat = ancestors ? await this._statEntry(itemPath, symlinks, ancestors) : await fs.stat(itemPath);
+      if (!stat || this._isExcludedEntry(ancestors, itemPath, stat, ignore, filter)) return;
+      if (stat.isDirectory()) {
+        const childAncestors = new Set(ancestors).add(this._fileId(stat));
+        const entries = (await fs.readdir(itemPath)).sort();
+        for (const entry of entries) {
+          await walk(path.join(itemPath, entry), childAncestors);
         }
+      } else if (stat.isSymbolicLink()) {
+        hash.update(`${itemPath}\0link\0${await fs.readlink(itemPath)}\n`);
+      } else {
+        hash.update(`${itemPath}\0${stat.size}\0${stat.mtimeMs}\n`);
+      }
+    };
+
+    for (const source of [...sources].sort()) {
+      try {
+        await walk(source, null);
+      } catch (error) {
+        // Missing sources are part of the state too
+        hash.update(`${source}\0missing\n`);
       }
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Delete a backup together with its manifest
+   */
+  async deleteBackup(backupPath) {
+    await this._removeRecursive(backupPath);
+    try {
+      await fs.unlink(FileOperations.getManifestPath(backupPath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    console.log('FileOperations: Deleted backup:', backupPath);
+  }
 
-      if (missingFiles.length > 0 || mismatchedFiles.length > 0 || extraFiles.length > 0) {
-        let message = 'Hash verification failed:';
-        if (mismatchedFiles.length > 0) {
-          message += ` ${mismatchedFiles.length} files corrupted (${mismatchedFiles.slice(0, 3).join(', ')}${mismatchedFiles.length > 3 ? '...' : ''});`;
+  /**
+   * Make sure an encrypted backup comes with the key needed to read it
+   */
+  _assertUnlocked(backupPath, manifest, encryption) {
+    if (manifest.encryption && !encryption) {
+      throw new Error(`Backup ${path.basename(backupPath)} is encrypted - a passphrase is required`);
+    }
+  }
+
+  /**
+   * Run an action on a readable copy of an archive backup
+   * Encrypted archives are decrypted to a temporary file first, since archives need random access
+   */
+  async _withReadableArchive(backupPath, manifest, encryption, action) {
+    if (!manifest.encryption) {
+      return action(backupPath);
+    }
+
+    const tempArchive = path.join(os.tmpdir(), `._tmp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}${ArchiveOperations.getExtension(manifest.format)}`);
+    this.tempFiles.add(tempArchive);
+    try {
+      await this._copyFileStream(backupPath, tempArchive, null, this._decoders(encryption));
+      return await action(tempArchive);
+    } finally {
+      await this._cleanupTemp(tempArchive);
+    }
+  }
+
+  /**
+   * Hash the stored contents of a backup (folder, single file or archive)
+   * Keys match the relative paths recorded in the manifest
+   */
+  async _hashBackupContents(backupPath, manifest, encryption = null) {
+    const stat = await fs.stat(backupPath);
+    const decoders = this._decoders(encryption);
+
+    if (stat.isDirectory()) {
+      // Links inside a backup were stored by the 'preserve' policy
+      return this._calculateDirectoryHashes(backupPath, backupPath, {
+        transforms: decoders,
+        compressedFiles: this._manifestCompressedFiles(manifest),
+        symlinks: 'preserve'
+      });
+    }
+
+    const archiveFormat = manifest.packed ? manifest.format : null;
+    if (ArchiveOperations.isArchiveFormat(archiveFormat)) {
+      return this._withReadableArchive(backupPath, manifest, encryption,
+        archivePath => this.archives.hashEntries(archivePath, archiveFormat));
+    }
+
+    // Single file backup - stored under a versioned name, recorded under the source name
+    const hashes = new Map();
+    const recordedPath = manifest.files && manifest.files.length === 1
+      ? manifest.files[0].path
+      : path.basename(backupPath);
+    hashes.set(recordedPath, await this._calculateFileHash(backupPath, decoders));
+    return hashes;
+  }
+
+  /**
+   * Re-hash an existing backup and compare it with the hashes recorded in its manifest
+   * Encrypted backups need options.encryption, unlocked from the manifest's encryption metadata
+   * options.verifyMetadata also compares stored files' modification times and permissions (not for archives)
+   */
+  async verifyBackup(backupPath, options = {}) {
+    const { encryption = null, verifyMetadata = false } = options;
+    console.log('FileOperations: Verifying stored backup:', backupPath);
+
+    try {
+      await fs.access(backupPath);
+    } catch (error) {
+      throw new Error(`Backup not found: ${backupPath}`);
+    }
+
+    const manifest = await this.readManifest(backupPath);
+    if (!manifest) {
+      throw new Error(`No manifest found for backup: ${path.basename(backupPath)}`);
+    }
+
+    this._assertUnlocked(backupPath, manifest, encryption);
+
+    const expectedHashes = this._manifestHashes(manifest);
+    const actualHashes = await this._hashBackupContents(backupPath, manifest, encryption);
+    const result = this._compareHashMaps(expectedHashes, actualHashes);
+
+    let metadataMismatches = [];
+    const isArchive = manifest.packed && ArchiveOperations.isArchiveFormat(manifest.format);
+    if (verifyMetadata && !isArchive) {
+      const stat = await fs.stat(backupPath);
+      metadataMismatches = await this._findMetadataMismatches(
+        this._manifestFileStats(manifest), backupPath, !stat.isDirectory(), this._manifestCompressedFiles(manifest)
+      );
+      if (metadataMismatches.length > 0) {
+        result.valid = false;
+        result.message = `${result.message || ''} Metadata differs: ${metadataMismatches.length} file(s).`.trim();
+      }
+    }
+
+    console.log(`FileOperations: Verification of ${path.basename(backupPath)} ${result.valid ? 'passed' : 'failed'}`);
+    return { ...result, metadataMismatches, backupPath, manifest, checkedFiles: expectedHashes.size };
+  }
+
+  /**
+   * Compare the stored contents of two backups by relative path and SHA-256
+   * Both backups are re-hashed rather than trusting their manifests, so a corrupted copy shows as modified
+   * Encrypted backups need options.fromEncryption / options.toEncryption
+   * Returns added (only in toPath), removed (only in fromPath) and modified relative paths, sorted,
+   * plus the paths that are symlinks in either backup (their "content" is the link target)
+   */
+  async compareBackups(fromPath, toPath, options = {}) {
+    const { fromEncryption = null, toEncryption = null } = options;
+    console.log('FileOperations: Comparing backups:', fromPath, '->', toPath);
+
+    const hashBackup = async (backupPath, encryption) => {
+      const manifest = await this.readManifest(backupPath);
+      if (!manifest) {
+        throw new Error(`No manifest found for backup: ${path.basename(backupPath)}`);
+      }
+      this._assertUnlocked(backupPath, manifest, encryption);
+      return { manifest, hashes: await this._hashBackupContents(backupPath, manifest, encryption) };
+    };
+    const from = await hashBackup(fromPath, fromEncryption);
+    const to = await hashBackup(toPath, toEncryption);
+
+    const added = [];
+    const removed = [];
+    const modified = [];
+    let unchangedCount = 0;
+    for (const [relativePath, hash] of from.hashes) {
+      if (!to.hashes.has(relativePath)) {
+        removed.push(relativePath);
+      } else if (to.hashes.get(relativePath) !== hash) {
+        modified.push(relativePath);
+      } else {
+        unchangedCount++;
+      }
+    }
+    for (const relativePath of to.hashes.keys()) {
+      if (!from.hashes.has(relativePath)) {
+        added.push(relativePath);
+      }
+    }
+
+    const symlinks = new Set();
+    for (const { manifest } of [from, to]) {
+      for (const [relativePath, stat] of this._manifestFileStats(manifest)) {
+        if (stat.symlink !== undefined) symlinks.add(relativePath);
+      }
+    }
+
+    return {
+      fromPath,
+      toPath,
+      fromManifest: from.manifest,
+      toManifest: to.manifest,
+      added: added.sort(),
+      removed: removed.sort(),
+      modified: modified.sort(),
+      unchangedCount,
+      symlinks
+    };
+  }
+
+  /**
+   * Compare a backup with the current state of the given sources (normally the live selection)
+   * The sources are hashed in the backup's layout (packed or not) with the same exclusions a new backup
+   * would use, and the backup is re-hashed. Returns
+   * - changed: files in both whose content differs, { relativePath, sourcePath }
+   * - added: files only in the sources, { relativePath, sourcePath }
+   * - deleted: files only in the backup, { relativePath }
+   * plus unchangedCount and the paths that are symlinks in the backup
+   */
+  async compareWithSources(backupPath, options = {}) {
+    const { sources = [], deselected = [], symlinks = 'follow', ignore = null, filter = null, encryption = null } = options;
+    console.log('FileOperations: Comparing backup with sources:', backupPath);
+
+    const manifest = await this.readManifest(backupPath);
+    if (!manifest) {
+      throw new Error(`No manifest found for backup: ${path.basename(backupPath)}`);
+    }
+    this._assertUnlocked(backupPath, manifest, encryption);
+
+    const backupHashes = await this._hashBackupContents(backupPath, manifest, encryption);
+    const sourcePaths = new Map();
+    const sourceHashes = await this._calculateSourceHashes(sources, Boolean(manifest.packed), deselected, null, {
+      symlinks, ignore, filter, sourcePaths
+    });
+
+    const changed = [];
+    const added = [];
+    const deleted = [];
+    let unchangedCount = 0;
+    for (const [relativePath, hash] of backupHashes) {
+      if (!sourceHashes.has(relativePath)) {
+        deleted.push({ relativePath });
+      } else if (sourceHashes.get(relativePath) !== hash) {
+        changed.push({ relativePath, sourcePath: sourcePaths.get(relativePath) });
+      } else {
+        unchangedCount++;
+      }
+    }
+    for (const relativePath of sourceHashes.keys()) {
+      if (!backupHashes.has(relativePath)) {
+        added.push({ relativePath, sourcePath: sourcePaths.get(relativePath) });
+      }
+    }
+
+    const byPath = (a, b) => a.relativePath.localeCompare(b.relativePath);
+    const links = new Set();
+    for (const [relativePath, stat] of this._manifestFileStats(manifest)) {
+      if (stat.symlink !== undefined) links.add(relativePath);
+    }
+    return {
+      backupPath,
+      manifest,
+      changed: changed.sort(byPath),
+      added: added.sort(byPath),
+      deleted: deleted.sort(byPath),
+      unchangedCount,
+      symlinks: links
+    };
+  }
+
+  /**
+   * Write decoded copies of some of a backup's files (relative paths as in its manifest) into destDir
+   */
+  async exportBackupFiles(backupPath, relativePaths, destDir, options = {}) {
+    const { encryption = null } = options;
+    const manifest = await this.readManifest(backupPath);
+    if (!manifest) {
+      throw new Error(`No manifest found for backup: ${path.basename(backupPath)}`);
+    }
+    this._assertUnlocked(backupPath, manifest, encryption);
+    await fs.mkdir(destDir, { recursive: true });
+    await this._extractBackupFiles(backupPath, manifest, relativePaths, destDir, null, encryption);
+  }
+
+  /**
+   * Map each file recorded in a manifest to the workspace path it was backed up from
+   * packedPath is the same file's relative path in packed layout (source folder name first)
+   */
+  _resolveRestoreTargets(manifest, backupIsFile) {
+    const targets = new Map();
+
+    for (const file of manifest.files || []) {
+      const relativePath = file.path.split('/').join(path.sep);
+      let targetPath = null;
+      let packedPath = relativePath;
+
+      if (manifest.packed) {
+        const [leaf, ...rest] = file.path.split('/');
+        const source = manifest.sources.find(sourcePath => path.basename(sourcePath) === leaf);
+        if (source) {
+          targetPath = rest.length > 0 ? path.join(source, ...rest) : source;
+        }
+      } else {
+        const source = manifest.sources[0];
+        targetPath = backupIsFile ? source : path.join(source, relativePath);
+        packedPath = backupIsFile ? path.basename(source) : path.join(path.basename(source), relativePath);
+      }
+
+      targets.set(relativePath, { targetPath, packedPath, sha256: file.sha256, size: file.size, symlink: file.symlink || null });
+    }
+
+    return targets;
+  }
+
+  /**
+   * Work out what restoring a backup would do to the workspace
+   * Each file is 'overwrite' (exists with different content), 'add' (missing) or 'unchanged'
+   */
+  async planRestore(backupPath, options = {}) {
+    const { encryption = null } = options;
+    const manifest = await this.readManifest(backupPath);
+    if (!manifest) {
+      throw new Error(`No manifest found for backup: ${path.basename(backupPath)}`);
+    }
+    this._assertUnlocked(backupPath, manifest, encryption);
+
+    const stat = await fs.stat(backupPath);
+    const backupIsFile = !stat.isDirectory() && !(manifest.packed && ArchiveOperations.isArchiveFormat(manifest.format));
+    const targets = this._resolveRestoreTargets(manifest, backupIsFile);
+
+    const entries = [];
+    for (const [relativePath, target] of targets) {
+      if (!target.targetPath) {
+        console.warn(`FileOperations: No restore target for ${relativePath}, skipping`);
+        continue;
+      }
+
+      let status = 'add';
+      let currentHash = null;
+      try {
+        if (target.symlink) {
+          // Preserved links are restored from the target path recorded in the manifest
+          const linkStat = await fs.lstat(target.targetPath);
+          const unchanged = linkStat.isSymbolicLink() && await fs.readlink(target.targetPath) === target.symlink;
+          status = unchanged ? 'unchanged' : 'overwrite';
+          if (linkStat.isFile()) {
+            currentHash = await this._calculateFileHash(target.targetPath);
+          }
+        } else {
+          const targetStat = await fs.stat(target.targetPath);
+          if (targetStat.isFile()) {
+            currentHash = await this._calculateFileHash(target.targetPath);
+            status = currentHash === target.sha256 ? 'unchanged' : 'overwrite';
+          } else {
+            status = 'overwrite';
+          }
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      entries.push({ relativePath, ...target, status, currentHash });
+    }
+
+    return { backupPath, manifest, backupIsFile, encryption, entries };
+  }
+
+  /**
+   * Copy the selected files of a backup into a staging directory, keyed by relative path
+   */
+  async _extractBackupFiles(backupPath, manifest, relativePaths, destDir, onProgress = null, encryption = null) {
+    const wanted = new Set(relativePaths);
+    const stat = await fs.stat(backupPath);
+    const decoders = this._decoders(encryption);
+
+    if (stat.isDirectory()) {
+      const compressedFiles = this._manifestCompressedFiles(manifest);
+      for (const relativePath of wanted) {
+        const destPath = path.join(destDir, relativePath);
+        const algorithm = compressedFiles.get(relativePath);
+        const storedPath = path.join(backupPath, relativePath) + FileCompression.getExtension(algorithm);
+        const fileDecoders = algorithm
+          ? [...decoders, () => FileCompression.createDecompressStream(algorithm)]
+          : decoders;
+        await fs.mkdir(path.dirname(destPath), { recursive: true });
+        await this._copyFileStream(storedPath, destPath, onProgress, fileDecoders);
+      }
+    } else if (manifest.packed && ArchiveOperations.isArchiveFormat(manifest.format)) {
+      await this._withReadableArchive(backupPath, manifest, encryption, archivePath =>
+        this.archives.extractArchive(archivePath, destDir, manifest.format, relativePath => wanted.has(relativePath)));
+    } else {
+      // Single file backup
+      for (const relativePath of wanted) {
+        await this._copyFileStream(backupPath, path.join(destDir, relativePath), onProgress, decoders);
+      }
+    }
+  }
+
+  /**
+   * Restore selected files of a backup into the workspace
+   * Files are extracted and hash-checked first, and anything that would be overwritten
+   * is saved to a safety backup in the output directory before it is replaced
+   */
+  async restoreBackup(options) {
+    const { plan, relativePaths = null, onProgress = null } = options;
+    const { backupPath, manifest, encryption = null } = plan;
+    const outputDir = path.dirname(backupPath);
+
+    const selected = plan.entries.filter(entry =>
+      entry.status !== 'unchanged' && (!relativePaths || relativePaths.includes(entry.relativePath))
+    );
+    if (selected.length === 0) {
+      return { restoredCount: 0, safetyBackup: null };
+    }
+
+    console.log(`FileOperations: Restoring ${selected.length} files from ${backupPath}`);
+
+    const tempDir = path.join(outputDir, `._tmp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+    this.tempFiles.add(tempDir);
+
+    try {
+      await fs.mkdir(tempDir, { recursive: true });
+
+      // Stage and verify the backed-up content before touching the workspace (links need no content)
+      const files = selected.filter(entry => !entry.symlink);
+      await this._extractBackupFiles(backupPath, manifest, files.map(entry => entry.relativePath), tempDir, onProgress, encryption);
+      const stagedHashes = new Map();
+      for (const entry of files) {
+        stagedHashes.set(entry.relativePath, await this._calculateFileHash(path.join(tempDir, entry.relativePath)));
+      }
+      const expectedHashes = new Map(files.map(entry => [entry.relativePath, entry.sha256]));
+      const verification = this._compareHashMaps(expectedHashes, stagedHashes);
+      if (!verification.valid) {
+        throw new Error(`Backup content does not match its manifest. ${verification.message}`);
+      }
+
+      // Safety backup of everything that is about to be overwritten
+      const safetyBackup = await this._createSafetyBackup(plan, selected.filter(entry => entry.status === 'overwrite'), outputDir);
+
+      let restoredCount = 0;
+      for (const entry of selected) {
+        const stagedPath = path.join(tempDir, entry.relativePath);
+
+        const targetStat = await fs.lstat(entry.targetPath).catch(() => null);
+        if (targetStat && (targetStat.isDirectory() || targetStat.isSymbolicLink() || entry.symlink)) {
+          await this._removeRecursive(entry.targetPath);
         }
-        if (missingFiles.length > 0) {
-          message += ` ${missingFiles.length} files missing (${missingFiles.slice(0, 3).join(', ')}${missingFiles.length > 3 ? '...' : ''});`;
+        await fs.mkdir(path.dirname(entry.targetPath), { recursive: true });
+
+        if (entry.symlink) {
+          const linkedStat = await fs.stat(path.resolve(path.dirname(entry.targetPath), entry.symlink)).catch(() => null);
+          await this._createSymlink(entry.symlink, entry.targetPath, Boolean(linkedStat && linkedStat.isDirectory()));
+          restoredCount++;
+          continue;
         }
-        if (extraFiles.length > 0) {
-          message += ` ${extraFiles.length} unexpected files (${extraFiles.slice(0, 3).join(', ')}${extraFiles.length > 3 ? '...' : ''});`;
+
+        await this._copyFileStream(stagedPath, entry.targetPath, onProgress);
+
+        const restoredHash = await this._calculateFileHash(entry.targetPath);
+        if (restoredHash !== entry.sha256) {
+          throw new Error(`Hash verification failed after restoring ${entry.targetPath}`);
         }
-        return { valid: false, message: message.trim() };
+        restoredCount++;
       }
 
-      return { valid: true };
+      console.log(`FileOperations: Restored ${restoredCount} files from ${path.basename(backupPath)}`);
+      return { restoredCount, safetyBackup };
 
-    } catch (error) {
-      return { valid: false, message: `Hash verification error: ${error.message}` };
+    } finally {
+      await this._cleanupTemp(tempDir);
     }
   }
 
+  /**
+   * Copy workspace files that a restore will overwrite into a packed safety backup
+   * A safety backup of an encrypted backup is encrypted with the same key
+   */
+  async _createSafetyBackup(plan, entries, outputDir) {
+    if (entries.length === 0) return null;
+    const encryption = plan.encryption || null;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let baseName = plan.manifest.name || path.basename(plan.backupPath);
+    const archiveExtension = plan.manifest.packed ? ArchiveOperations.getExtension(plan.manifest.format) : '';
+    if (archiveExtension && baseName.endsWith(archiveExtension)) {
+      baseName = baseName.slice(0, -archiveExtension.length);
+    }
+    const safetyDir = path.join(outputDir, `${baseName}.pre-restore-${stamp}`);
+
+    const sourceHashes = new Map();
+    const fileStats = new Map();
+    const sources = new Set();
+
+    for (const entry of entries) {
+      // Only files hashed while planning can be saved and checked (replaced links are not kept)
+      if (!entry.currentHash) continue;
+      const targetStat = await fs.stat(entry.targetPath);
+      if (!targetStat.isFile()) continue;
+
+      // Store in packed layout so the safety backup can itself be restored
+      const destPath = path.join(safetyDir, entry.packedPath);
+      await fs.mkdir(path.dirname(destPath), { recursive: true });
+      await this._copyFileStream(entry.targetPath, destPath, null, this._encoders(encryption));
+
+      const copiedHash = await this._calculateFileHash(destPath, this._decoders(encryption));
+      if (copiedHash !== entry.currentHash) {
+        throw new Error(`Safety backup verification failed for ${entry.targetPath}`);
+      }
+      sourceHashes.set(entry.packedPath, copiedHash);
+      fileStats.set(entry.packedPath, { size: targetStat.size, mtime: targetStat.mtime, mode: targetStat.mode & 0o7777 });
+
+      const leaf = entry.packedPath.split(path.sep)[0];
+      const source = plan.manifest.packed
+        ? plan.manifest.sources.find(sourcePath => path.basename(sourcePath) === leaf)
+        : plan.manifest.sources[0];
+      if (source) sources.add(source);
+    }
+
+    if (sourceHashes.size === 0) return null;
+
+    await this._writeManifest(safetyDir, {
+      kind: 'pre-restore',
+      version: `pre-restore-${stamp}`,
+      suffix: '',
+      packed: true,
+      format: 'folder',
+      sources: Array.from(sources),
+      deselected: [],
+      sourceHashes,
+      fileStats,
+      encryption: encryption ? encryption.metadata() : null
+    });
+
+    console.log('FileOperations: Created safety backup:', safetyDir);
+    return safetyDir;
+  }
+
+  /**
+   * Compare expected hashes against actual hashes by relative path
+   * Reports corrupted (hash differs), missing and unexpected files
+   */
+  _compareHashMaps(expectedHashes, actualHashes) {
+    const mismatchedFiles = [];
+    const missingFiles = [];
+    const extraFiles = [];
+
+    // Check that all expected files are present with matching hashes
+    for (const [relativePath, expectedHash] of expectedHashes) {
+      const actualHash = actualHashes.get(relativePath);
+      if (!actualHash) {
+        missingFiles.push(relativePath);
+      } else if (actualHash !== expectedHash) {
+        mismatchedFiles.push(relativePath);
+      }
+    }
+
+    // Check for extra files (shouldn't happen in backups)
+    for (const relativePath of actualHashes.keys()) {
+      if (!expectedHashes.has(relativePath)) {
+        extraFiles.push(relativePath);
+      }
+    }
+
+    if (missingFiles.length > 0 || mismatchedFiles.length > 0 || extraFiles.length > 0) {
+      let message = 'Hash verification failed:';
+      if (mismatchedFiles.length > 0) {
+        message += ` ${mismatchedFiles.length} files corrupted (${mismatchedFiles.slice(0, 3).join(', ')}${mismatchedFiles.length > 3 ? '...' : ''});`;
+      }
+      if (missingFiles.length > 0) {
+        message += ` ${missingFiles.length} files missing (${missingFiles.slice(0, 3).join(', ')}${missingFiles.length > 3 ? '...' : ''});`;
+      }
+      if (extraFiles.length > 0) {
+        message += ` ${extraFiles.length} unexpected files (${extraFiles.slice(0, 3).join(', ')}${extraFiles.length > 3 ? '...' : ''});`;
+      }
+      return { valid: false, message: message.trim(), mismatchedFiles, missingFiles, extraFiles };
+    }
+
+    return { valid: true, mismatchedFiles, missingFiles, extraFiles };
+  }
+
   /**
    * Count items in directory for selection summary
+   * Entries matching the ignore rules are not counted, nor is anything inside them, and neither are files the filter leaves out
    */
-  async countItemsInDirectory(dirPath) {
+  async countItemsInDirectory(dirPath, ignore = null, filter = null) {
     try {
       let count = 0;
 
@@ -820,9 +2612,17 @@ class FileOperations {
         const entries = await fs.readdir(dir, { withFileTypes: true });
 
         for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          if (ignore && ignore.isIgnored(entryPath, entry.isDirectory())) {
+            continue;
+          }
+          if (filter && !entry.isDirectory()) {
+            const stat = await fs.stat(entryPath).catch(() => null);
+            if (stat && !filter.matches(entryPath, stat)) continue;
+          }
           count++;
           if (entry.isDirectory()) {
-            await countRecursive(path.join(dir, entry.name));
+            await countRecursive(entryPath);
           }
         }
       }
@@ -0,0 +1,114 @@
+const path = require('path');
+
+// File filter rules; empty lists and 0 disable a rule
+const DEFAULT_RULES = {
+  includeExtensions: [],
+  excludeExtensions: [],
+  minSize: 0,
+  maxSize: 0,
+  maxAgeDays: 0,
+  minAgeDays: 0
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+class FileFilter {
+  constructor(rules = {}) {
+    this.rules = { ...DEFAULT_RULES };
+    for (const key of ['includeExtensions', 'excludeExtensions']) {
+      this.rules[key] = FileFilter.parseExtensions(rules[key]);
+    }
+    for (const key of ['minSize', 'maxSize', 'maxAgeDays', 'minAgeDays']) {
+      const value = Number(rules[key]);
+      this.rules[key] = Number.isFinite(value) && value > 0 ? value : 0;
+    }
+  }
+
+  static get defaultRules() {
+    return { ...DEFAULT_RULES, includeExtensions: [], excludeExtensions: [] };
+  }
+
+  /**
+   * Normalize an extension list ("json, .YAML" or ['json', '.yaml']) to ['.json', '.yaml']
+   */
+  static parseExtensions(value) {
+    const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+    const extensions = entries
+      .map(entry => String(entry).trim().toLowerCase().replace(/^\*?\.?/, ''))
+      .filter(Boolean)
+      .map(entry => `.${entry}`);
+    return [...new Set(extensions)];
+  }
+
+  /**
+   * Parse a size such as "100MB", "1.5 gb", "512k" or "2048" (bytes) into bytes
+   * Returns null for invalid input
+   */
+  static parseSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?b?)?$/i.exec(String(value).trim());
+    if (!match) return null;
+    let unit = (match[2] || 'b').toLowerCase();
+    if (unit.length === 1 && unit !== 'b') unit += 'b';
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit]);
+  }
+
+  /**
+   * Format bytes with the largest unit that keeps the number at or above 1, e.g. "100 MB"
+   */
+  static formatSize(bytes) {
+    const units = ['TB', 'GB', 'MB', 'KB'];
+    for (const unit of units) {
+      const size = SIZE_UNITS[unit.toLowerCase()];
+      if (bytes >= size) {
+        return `${parseFloat((bytes / size).toFixed(1))} ${unit}`;
+      }
+    }
+    return `${bytes} B`;
+  }
+
+  /**
+   * Whether any rule is active (an empty filter lets every file through)
+   */
+  isEnabled() {
+    const { includeExtensions, excludeExtensions, minSize, maxSize, maxAgeDays, minAgeDays } = this.rules;
+    return includeExtensions.length > 0 || excludeExtensions.length > 0 || minSize > 0 || maxSize > 0 || maxAgeDays > 0 || minAgeDays > 0;
+  }
+
+  /**
+   * Short human readable summary, e.g. "only .json .yaml, ≤ 100 MB, modified within 30 days"
+   */
+  describe() {
+    const { includeExtensions, excludeExtensions, minSize, maxSize, maxAgeDays, minAgeDays } = this.rules;
+    const parts = [];
+    if (includeExtensions.length > 0) parts.push(`only ${includeExtensions.join(' ')}`);
+    if (excludeExtensions.length > 0) parts.push(`not ${excludeExtensions.join(' ')}`);
+    if (minSize) parts.push(`≥ ${FileFilter.formatSize(minSize)}`);
+    if (maxSize) parts.push(`≤ ${FileFilter.formatSize(maxSize)}`);
+    if (maxAgeDays) parts.push(`modified within ${maxAgeDays} days`);
+    if (minAgeDays) parts.push(`older than ${minAgeDays} days`);
+    return parts.length > 0 ? parts.join(', ') : 'All files';
+  }
+
+  /**
+   * Whether a file passes every active rule
+   * Extensions are compared case-insensitively against the end of the name, so ".tar.gz" works too
+   */
+  matches(fullPath, stat, now = Date.now()) {
+    const { includeExtensions, excludeExtensions, minSize, maxSize, maxAgeDays, minAgeDays } = this.rules;
+    const name = path.basename(fullPath).toLowerCase();
+    const hasExtension = extension => name.endsWith(extension) && name !== extension;
+
+    if (includeExtensions.length > 0 && !includeExtensions.some(hasExtension)) return false;
+    if (excludeExtensions.some(hasExtension)) return false;
+    if (minSize && stat.size < minSize) return false;
+    if (maxSize && stat.size > maxSize) return false;
+
+    const age = now - stat.mtimeMs;
+    if (maxAgeDays && age > maxAgeDays * DAY_MS) return false;
+    if (minAgeDays && age < minAgeDays * DAY_MS) return false;
+    return true;
+  }
+}
+
+module.exports = FileFilter;
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+
+// Ignore files read in every directory, in order; later rules override earlier ones
+const BACKUPIGNORE_FILE = '.backupignore';
+const GITIGNORE_FILE = '.gitignore';
+
+/**
+ * Exclusion rules from .backupignore files (and optionally .gitignore files) in gitignore syntax
+ * Every directory below rootDir may hold its own ignore files, whose patterns are relative to it
+ * and override the patterns of its parent directories. Rule files are read once per instance,
+ * so create a new instance to pick up edits
+ */
+class IgnoreRules {
+  constructor(rootDir, options = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.gitignore = Boolean(options.gitignore);
+    this.fileNames = this.gitignore ? [GITIGNORE_FILE, BACKUPIGNORE_FILE] : [BACKUPIGNORE_FILE];
+    this.rulesByDir = new Map();
+    this.results = new Map();
+  }
+
+  static get fileName() {
+    return BACKUPIGNORE_FILE;
+  }
+
+  /**
+   * Parse ignore file content into rules
+   * Blank lines and # comments are skipped, ! negates, a trailing / matches directories only
+   * and a / at the start or in the middle anchors the pattern to the ignore file's directory
+   */
+  static parse(content) {
+    const rules = [];
+    for (const rawLine of content.split(/\r?\n/)) {
+      // Trailing spaces are dropped unless escaped with a backslash
+      let line = rawLine.replace(/(?<!\\)\s+$/, '');
+      if (!line || line.startsWith('#')) continue;
+
+      let negate = false;
+      if (line.startsWith('!')) {
+        negate = true;
+        line = line.slice(1);
+      } else if (line.startsWith('\\#') || line.startsWith('\\!')) {
+        line = line.slice(1);
+      }
+
+      let directoryOnly = false;
+      if (line.endsWith('/') && !line.endsWith('\\/')) {
+        directoryOnly = true;
+        line = line.replace(/\/+$/, '');
+      }
+      if (!line) continue;
+
+      const anchored = line.includes('/');
+      if (line.startsWith('/')) {
+        line = line.slice(1);
+      }
+
+      const body = IgnoreRules.globToRegExp(line);
+      rules.push({
+        pattern: rawLine.trim(),
+        negate,
+        directoryOnly,
+        regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`)
+      });
+    }
+    return rules;
+  }
+
+  /**
+   * Translate a gitignore glob into a regular expression source
+   * * and ? never match a /, ** matches across directories and [...] is a character class
+   */
+  static globToRegExp(glob) {
+    let source = '';
+    let i = 0;
+    while (i < glob.length) {
+      const char = glob[i];
+
+      if (char === '*' && glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length;
+        if (atStart && glob[i + 2] === '/') {
+          // "**/" matches zero or more leading directories
+          source += '(?:.*/)?';
+          i += 3;
+          continue;
+        }
+        if (atStart && atEnd) {
+          // A trailing "/**" matches everything inside
+          source += '.*';
+          i += 2;
+          continue;
+        }
+        // Otherwise ** behaves like *
+        source += '[^/]*';
+        i += 2;
+        continue;
+      }
+      if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '\\' && i + 1 < glob.length) {
+        i++;
+        source += IgnoreRules.escape(glob[i]);
+      } else if (char === '[') {
+        const end = glob.indexOf(']', i + 2);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          let members = glob.slice(i + 1, end);
+          const negated = members.startsWith('!') || members.startsWith('^');
+          if (negated) members = members.slice(1);
+          source += `[${negated ? '^' : ''}${members.replace(/[\\\]]/g, '\\$&')}]`;
+          i = end;
+        }
+      } else {
+        source += IgnoreRules.escape(char);
+      }
+      i++;
+    }
+    return source;
+  }
+
+  static escape(char) {
+    return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Whether the rules exclude a path (checked on its own; callers walking a tree stop at ignored directories)
+   * Paths outside rootDir and rootDir itself are never ignored
+   */
+  isIgnored(fullPath, isDirectory) {
+    const resolved = path.resolve(fullPath);
+    const key = `${resolved}\0${isDirectory ? 'd' : 'f'}`;
+    if (this.results.has(key)) {
+      return this.results.get(key);
+    }
+
+    const relative = path.relative(this.rootDir, resolved);
+    let ignored = false;
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      // Directories from the root down; the last matching rule wins, so deeper files override
+      const segments = relative.split(path.sep);
+      let dir = this.rootDir;
+      for (let depth = 0; depth < segments.length; depth++) {
+        const candidate = segments.slice(depth).join('/');
+        for (const rule of this._rulesFor(dir)) {
+          if (rule.directoryOnly && !isDirectory) continue;
+          if (rule.regex.test(candidate)) {
+            ignored = !rule.negate;
+          }
+        }
+        dir = path.join(dir, segments[depth]);
+      }
+    }
+
+    this.results.set(key, ignored);
+    return ignored;
+  }
+
+  /**
+   * Whether a path below a selected item is left out, either by itself or through one of the
+   * directories between them (git does not re-include files inside an excluded directory)
+   * basePath itself is never ignored, as explicitly selected items are always backed up
+   */
+  isExcludedBelow(basePath, fullPath, isDirectory) {
+    const relative = path.relative(basePath, fullPath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return false;
+    }
+
+    let current = basePath;
+    const segments = relative.split(path.sep);
+    for (let i = 0; i < segments.length - 1; i++) {
+      current = path.join(current, segments[i]);
+      if (this.isIgnored(current, true)) {
+        return true;
+      }
+    }
+    return this.isIgnored(fullPath, isDirectory);
+  }
+
+  /**
+   * Rules defined directly in a directory, read lazily and cached
+   */
+  _rulesFor(dir) {
+    if (this.rulesByDir.has(dir)) {
+      return this.rulesByDir.get(dir);
+    }
+
+    const rules = [];
+    for (const fileName of this.fileNames) {
+      try {
+        rules.push(...IgnoreRules.parse(fs.readFileSync(path.join(dir, fileName), 'utf8')));
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+          console.warn(`IgnoreRules: Could not read ${path.join(dir, fileName)}: ${error.message}`);
+        }
+      }
+    }
+    this.rulesByDir.set(dir, rules);
+    return rules;
+  }
+}
+
+module.exports = IgnoreRules;
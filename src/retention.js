@@ -0,0 +1,120 @@
+// Retention rules; 0 disables a rule
+const DEFAULT_RULES = {
+  keepLast: 0,
+  keepDaily: 0,
+  keepWeekly: 0,
+  keepMonthly: 0,
+  maxAgeDays: 0
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionPolicy {
+  constructor(rules = {}) {
+    this.rules = { ...DEFAULT_RULES };
+    for (const key of Object.keys(DEFAULT_RULES)) {
+      const value = parseInt(rules[key], 10);
+      this.rules[key] = Number.isFinite(value) && value > 0 ? value : 0;
+    }
+  }
+
+  static get defaultRules() {
+    return { ...DEFAULT_RULES };
+  }
+
+  /**
+   * Whether any rule is active (an empty policy keeps everything)
+   */
+  isEnabled() {
+    return Object.values(this.rules).some(value => value > 0);
+  }
+
+  /**
+   * Short human readable summary, e.g. "last 5, 7 daily, 4 weekly, max 90 days"
+   */
+  describe() {
+    const { keepLast, keepDaily, keepWeekly, keepMonthly, maxAgeDays } = this.rules;
+    const parts = [];
+    if (keepLast) parts.push(`last ${keepLast}`);
+    if (keepDaily) parts.push(`${keepDaily} daily`);
+    if (keepWeekly) parts.push(`${keepWeekly} weekly`);
+    if (keepMonthly) parts.push(`${keepMonthly} monthly`);
+    if (maxAgeDays) parts.push(`max ${maxAgeDays} days`);
+    return parts.length > 0 ? parts.join(', ') : 'Keep all';
+  }
+
+  /**
+   * Split backups ({ date: Date, ... }) into those to keep and those to prune
+   *
+   * Count rules (last N, daily/weekly/monthly grandfather-father-son) are combined: a backup
+   * is kept if any of them selects it. maxAgeDays then prunes anything older, even if a count
+   * rule selected it. The newest backup is always kept.
+   */
+  plan(backups, now = new Date()) {
+    const sorted = [...backups].sort((a, b) => b.date - a.date);
+    if (!this.isEnabled() || sorted.length === 0) {
+      return { keep: sorted.map(backup => ({ ...backup, reasons: [] })), prune: [] };
+    }
+
+    const { keepLast, keepDaily, keepWeekly, keepMonthly, maxAgeDays } = this.rules;
+    const hasCountRules = keepLast || keepDaily || keepWeekly || keepMonthly;
+    const reasons = new Map(sorted.map(backup => [backup, hasCountRules ? [] : ['within max age']]));
+
+    sorted.slice(0, keepLast).forEach(backup => reasons.get(backup).push('last'));
+    this._keepPerPeriod(sorted, keepDaily, date => this._dayKey(date), 'daily', reasons);
+    this._keepPerPeriod(sorted, keepWeekly, date => this._weekKey(date), 'weekly', reasons);
+    this._keepPerPeriod(sorted, keepMonthly, date => this._monthKey(date), 'monthly', reasons);
+
+    const keep = [];
+    const prune = [];
+    sorted.forEach((backup, index) => {
+      const tooOld = maxAgeDays > 0 && (now - backup.date) > maxAgeDays * DAY_MS;
+      const selected = !hasCountRules || reasons.get(backup).length > 0;
+
+      if (index === 0 || (selected && !tooOld)) {
+        keep.push({ ...backup, reasons: index === 0 && reasons.get(backup).length === 0 ? ['newest'] : reasons.get(backup) });
+      } else {
+        prune.push({ ...backup, reason: tooOld ? `older than ${maxAgeDays} days` : 'not selected by any keep rule' });
+      }
+    });
+
+    return { keep, prune };
+  }
+
+  /**
+   * Keep the newest backup of each of the most recent `count` periods
+   */
+  _keepPerPeriod(sorted, count, periodKey, label, reasons) {
+    if (!count) return;
+
+    const seen = new Set();
+    for (const backup of sorted) {
+      const key = periodKey(backup.date);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      reasons.get(backup).push(label);
+      if (seen.size >= count) break;
+    }
+  }
+
+  _dayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+  }
+
+  /**
+   * ISO-8601 week key (weeks start on Monday, week 1 contains the first Thursday)
+   */
+  _weekKey(date) {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const week = 1 + Math.round(((thursday - firstThursday) / DAY_MS - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+    return `${thursday.getFullYear()}-W${week}`;
+  }
+
+  _monthKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}`;
+  }
+}
+
+module.exports = RetentionPolicy;
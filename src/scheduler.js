@@ -0,0 +1,155 @@
+const vscode = require('vscode');
+const path = require('path');
+
+// Workspace state key holding the fingerprint of the last scheduled backup
+const STATE_KEY = 'scheduledBackupState';
+
+class BackupScheduler {
+  constructor(context, fileOps, versionGenerator, resolveEncryption = null) {
+    this.context = context;
+    this.fileOps = fileOps;
+    this.versionGenerator = versionGenerator;
+    this.resolveEncryption = resolveEncryption; // returns the encryption for a new backup, or null
+    this.timer = null;
+    this.intervalMinutes = 0;
+    this.running = false;
+  }
+
+  getProvider() {
+    return global.treeDataProvider;
+  }
+
+  /**
+   * Start, restart or stop the timer to match the schedule settings
+   */
+  configure(schedule) {
+    const enabled = schedule && schedule.enabled && schedule.intervalMinutes > 0;
+    if (!enabled) {
+      this.stop();
+      return;
+    }
+    if (this.timer && this.intervalMinutes === schedule.intervalMinutes) {
+      return;
+    }
+
+    this.stop();
+    this.intervalMinutes = schedule.intervalMinutes;
+    this.timer = setInterval(() => {
+      this.runScheduledBackup().catch(error => {
+        console.error('BackupScheduler: Scheduled backup failed:', error);
+      });
+    }, this.intervalMinutes * 60 * 1000);
+    console.log(`BackupScheduler: Scheduled backups every ${this.intervalMinutes} minutes`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('BackupScheduler: Scheduled backups stopped');
+    }
+    this.intervalMinutes = 0;
+  }
+
+  dispose() {
+    this.stop();
+  }
+
+  isActive() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Remember the state of a backup made outside the scheduler so the next run can skip it
+   */
+  async recordBackup(sources, deselected, destination) {
+    const provider = this.getProvider();
+    const fingerprint = provider
+      ? await this.fileOps.computeSourceFingerprint(sources, deselected, provider.symlinks, provider.getIgnoreRules(), provider.getFileFilter())
+      : await this.fileOps.computeSourceFingerprint(sources, deselected);
+    await this.context.workspaceState.update(STATE_KEY, {
+      fingerprint,
+      lastRun: new Date().toISOString(),
+      lastBackup: destination
+    });
+  }
+
+  /**
+   * Back up the current selection if anything changed since the last scheduled backup
+   */
+  async runScheduledBackup() {
+    const provider = this.getProvider();
+    if (!provider || this.running) return { skipped: true, reason: 'busy' };
+
+    const sources = Array.from(provider.selectedItems);
+    const deselected = Array.from(provider.deselectedItems);
+    if (sources.length === 0 || !provider.outputDir) {
+      console.log('BackupScheduler: Skipping scheduled backup - no selection or output directory');
+      return { skipped: true, reason: 'not configured' };
+    }
+
+    this.running = true;
+    try {
+      const ignore = provider.getIgnoreRules();
+      const filter = provider.getFileFilter();
+      const fingerprint = await this.fileOps.computeSourceFingerprint(sources, deselected, provider.symlinks, ignore, filter);
+      const state = this.context.workspaceState.get(STATE_KEY, {});
+      if (state.fingerprint === fingerprint) {
+        console.log('BackupScheduler: No changes since last scheduled backup, skipping');
+        return { skipped: true, reason: 'unchanged' };
+      }
+
+      const shouldPack = sources.length > 1 || provider.packFiles;
+      const settings = {
+        sources,
+        outputDir: provider.outputDir,
+        folderName: provider.folderName,
+        suffix: provider.suffix
+      };
+
+      // Scheduled runs cannot prompt, so the manual strategy falls back to a timestamp
+      const strategy = provider.versionStrategy && provider.versionStrategy !== 'manual'
+        ? provider.versionStrategy
+        : 'datetime';
+      const existing = await this.fileOps.listVersions(provider.outputDir, { ...settings, shouldPack });
+      const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+      const version = await this.versionGenerator.suggest(strategy, existing, {
+        cwd: workspaceFolder ? workspaceFolder.uri.fsPath : null
+      });
+
+      const encryption = this.resolveEncryption ? await this.resolveEncryption() : null;
+
+      const result = await this.fileOps.createBackup({
+        ...settings,
+        version,
+        packFiles: shouldPack,
+        format: provider.outputFormat,
+        encryption,
+        compression: provider.compression,
+        verification: provider.verification,
+        symlinks: provider.symlinks,
+        verifyMetadata: provider.verifyMetadata,
+        ignore,
+        filter,
+        deselected
+      });
+
+      await this.context.workspaceState.update(STATE_KEY, {
+        fingerprint,
+        lastRun: new Date().toISOString(),
+        lastBackup: result.destination
+      });
+
+      provider.refreshHistory();
+      vscode.window.setStatusBarMessage(`$(check) Backup Vault: scheduled backup ${path.basename(result.destination)} created`, 10000);
+      return { skipped: false, destination: result.destination };
+    } catch (error) {
+      vscode.window.showWarningMessage(`Scheduled backup failed: ${error.message}`);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = BackupScheduler;
@@ -0,0 +1,145 @@
+const vscode = require('vscode');
+const path = require('path');
+
+// Snapshots are kept apart from versioned backups, mirroring the workspace layout
+const HISTORY_DIR = '.history';
+
+class SaveSnapshotter {
+  constructor(fileOps, versionGenerator, resolveEncryption = null) {
+    this.fileOps = fileOps;
+    this.versionGenerator = versionGenerator;
+    this.resolveEncryption = resolveEncryption; // returns the encryption for a new backup, or null
+    this.pending = new Set();
+    this.lastHashes = new Map(); // file path -> hash of its latest snapshot
+    this.timer = null;
+    this.flushing = null;
+    this.debounceMs = 0;
+    this.listener = null;
+  }
+
+  getProvider() {
+    return global.treeDataProvider;
+  }
+
+  /**
+   * Start or stop listening for saves to match the backup-on-save settings
+   */
+  configure(settings) {
+    const enabled = settings && settings.enabled;
+    this.debounceMs = settings && settings.debounceMs > 0 ? settings.debounceMs : 2000;
+
+    if (enabled && !this.listener) {
+      this.listener = vscode.workspace.onDidSaveTextDocument(document => this.onDidSave(document));
+      console.log('SaveSnapshotter: Backup on save enabled');
+    } else if (!enabled && this.listener) {
+      this.listener.dispose();
+      this.listener = null;
+      this.pending.clear();
+      clearTimeout(this.timer);
+      this.timer = null;
+      console.log('SaveSnapshotter: Backup on save disabled');
+    }
+  }
+
+  dispose() {
+    this.configure({ enabled: false });
+  }
+
+  onDidSave(document) {
+    const provider = this.getProvider();
+    if (!provider || document.uri.scheme !== 'file') return;
+
+    const filePath = document.uri.fsPath;
+    if (!provider.isPathSelected(filePath)) return;
+
+    // Collect saves and snapshot them together once editing settles down
+    this.pending.add(filePath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(error => console.error('SaveSnapshotter: Snapshot failed:', error));
+    }, this.debounceMs);
+  }
+
+  /**
+   * Snapshot every pending file into the history folder of the output directory
+   */
+  async flush() {
+    // Never run two flushes at once - wait and pick up whatever is left
+    if (this.flushing) {
+      await this.flushing;
+    }
+    if (this.pending.size === 0) return [];
+
+    const files = Array.from(this.pending);
+    this.pending.clear();
+    this.flushing = this._snapshotFiles(files);
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  async _snapshotFiles(files) {
+    const provider = this.getProvider();
+    if (!provider || !provider.outputDir) {
+      console.log('SaveSnapshotter: No output directory configured, skipping snapshots');
+      return [];
+    }
+
+    let encryption = null;
+    try {
+      encryption = this.resolveEncryption ? await this.resolveEncryption() : null;
+    } catch (error) {
+      vscode.window.showWarningMessage(`Backup on save skipped: ${error.message}`);
+      return [];
+    }
+
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    const workspaceRoot = workspaceFolder ? workspaceFolder.uri.fsPath : null;
+    const created = [];
+
+    for (const filePath of files) {
+      try {
+        // Saving without changes should not create a new snapshot
+        const hash = await this.fileOps.hashFile(filePath);
+        if (this.lastHashes.get(filePath) === hash) continue;
+
+        const relativeDir = workspaceRoot && filePath.startsWith(workspaceRoot + path.sep)
+          ? path.dirname(path.relative(workspaceRoot, filePath))
+          : '';
+        const historyDir = path.join(provider.outputDir, HISTORY_DIR, relativeDir);
+
+        const naming = { sources: [filePath], shouldPack: false, suffix: provider.suffix };
+        const existing = await this.fileOps.listVersions(historyDir, naming);
+        const version = await this.versionGenerator.suggest('datetime', existing);
+
+        const result = await this.fileOps.createBackup({
+          sources: [filePath],
+          outputDir: historyDir,
+          version,
+          packFiles: false,
+          folderName: provider.folderName,
+          suffix: provider.suffix,
+          encryption,
+          verification: provider.verification,
+          verifyMetadata: provider.verifyMetadata
+        });
+
+        this.lastHashes.set(filePath, hash);
+        created.push(result.destination);
+      } catch (error) {
+        console.error('SaveSnapshotter: Could not snapshot', filePath, error);
+        vscode.window.showWarningMessage(`Backup on save failed for ${path.basename(filePath)}: ${error.message}`);
+      }
+    }
+
+    if (created.length > 0) {
+      vscode.window.setStatusBarMessage(`$(history) Backup Vault: ${created.length} snapshot(s) saved`, 5000);
+    }
+    return created;
+  }
+}
+
+module.exports = SaveSnapshotter;
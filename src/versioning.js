@@ -0,0 +1,155 @@
+const { execFile } = require('child_process');
+
+// Available version strategies, in the order they are offered to the user
+const STRATEGIES = {
+  manual: { label: 'Manual', description: 'Type the version every time' },
+  increment: { label: 'Auto-increment', description: 'Next integer after the highest existing version (1, 2, 3...)' },
+  'semver-major': { label: 'Semver major', description: 'Bump the major part of the highest version (1.4.2 → 2.0.0)' },
+  'semver-minor': { label: 'Semver minor', description: 'Bump the minor part of the highest version (1.4.2 → 1.5.0)' },
+  'semver-patch': { label: 'Semver patch', description: 'Bump the patch part of the highest version (1.4.2 → 1.4.3)' },
+  date: { label: 'Date', description: 'Today\'s date (20250131)' },
+  datetime: { label: 'Date & time', description: 'Current date and time (20250131-142530)' },
+  git: { label: 'Git', description: 'Current git tag, or the short commit hash' }
+};
+
+class VersionGenerator {
+  static get strategies() {
+    return STRATEGIES;
+  }
+
+  /**
+   * Natural version comparison ("v2" < "v10", "1.9.0" < "1.10.0")
+   */
+  static compare(a, b) {
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+  }
+
+  /**
+   * Compute the suggested next version for a strategy
+   * existingVersions are the versions already present in the output directory
+   * Returns null for the manual strategy
+   */
+  async suggest(strategy, existingVersions = [], options = {}) {
+    const { cwd = null, now = new Date() } = options;
+    const existing = new Set(existingVersions);
+
+    switch (strategy) {
+      case 'increment':
+        return this._nextInteger(existingVersions);
+      case 'semver-major':
+      case 'semver-minor':
+      case 'semver-patch':
+        return this._nextSemver(existingVersions, strategy.slice('semver-'.length));
+      case 'date':
+        return this._makeUnique(this._formatDate(now), existing);
+      case 'datetime':
+        return this._makeUnique(`${this._formatDate(now)}-${this._formatTime(now)}`, existing);
+      case 'git':
+        return this._makeUnique(await this._gitVersion(cwd), existing);
+      case 'manual':
+        return null;
+      default:
+        throw new Error(`Unknown version strategy: ${strategy}`);
+    }
+  }
+
+  _nextInteger(versions) {
+    // Date stamps (20250131) are plain integers too, but must not drive the counter
+    const numbers = versions
+      .filter(version => /^\d+$/.test(version) && !this._isDateStamp(version))
+      .map(version => parseInt(version, 10));
+    return String(numbers.length > 0 ? Math.max(...numbers) + 1 : 1);
+  }
+
+  _nextSemver(versions, part) {
+    const parsed = versions
+      .map(version => String(version).match(/^(\d+)\.(\d+)(?:\.(\d+))?$/))
+      .filter(Boolean)
+      .map(match => [match[1], match[2], match[3]].map(value => parseInt(value || '0', 10)));
+
+    if (parsed.length === 0) {
+      return { major: '1.0.0', minor: '0.1.0', patch: '0.0.1' }[part];
+    }
+
+    parsed.sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]));
+    const [major, minor, patch] = parsed[parsed.length - 1];
+
+    if (part === 'major') return `${major + 1}.0.0`;
+    if (part === 'minor') return `${major}.${minor + 1}.0`;
+    return `${major}.${minor}.${patch + 1}`;
+  }
+
+  /**
+   * Whether a version looks like a YYYYMMDD date stamp from the date strategy
+   */
+  _isDateStamp(version) {
+    const match = String(version).match(/^(19|20)(\d{2})(\d{2})(\d{2})$/);
+    if (!match) return false;
+    const month = parseInt(match[3], 10);
+    const day = parseInt(match[4], 10);
+    return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+  }
+
+  /**
+   * Append -2, -3, ... when a generated version is already taken
+   */
+  _makeUnique(candidate, existing) {
+    if (!existing.has(candidate)) return candidate;
+    let counter = 2;
+    while (existing.has(`${candidate}-${counter}`)) {
+      counter++;
+    }
+    return `${candidate}-${counter}`;
+  }
+
+  _formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  }
+
+  _formatTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  }
+
+  /**
+   * Exact git tag of HEAD, falling back to the short commit hash
+   */
+  async _gitVersion(cwd) {
+    if (!cwd) {
+      throw new Error('No workspace folder to read git information from');
+    }
+
+    try {
+      return await this._git(['describe', '--tags', '--exact-match'], cwd);
+    } catch (error) {
+      // HEAD is not tagged - use the commit instead
+    }
+
+    try {
+      return await this._git(['rev-parse', '--short', 'HEAD'], cwd);
+    } catch (error) {
+      throw new Error(`Could not read git version: ${error.message}`);
+    }
+  }
+
+  _git(args, cwd) {
+    return new Promise((resolve, reject) => {
+      execFile('git', args, { cwd, timeout: 10000 }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error((stderr || error.message).trim()));
+          return;
+        }
+        const output = stdout.trim();
+        if (!output) {
+          reject(new Error(`git ${args.join(' ')} returned nothing`));
+          return;
+        }
+        // Tags may contain characters that are not valid in file names
+        resolve(output.replace(/[\\/:*?"<>|\s]+/g, '-'));
+      });
+    });
+  }
+}
+
+module.exports = VersionGenerator;
@@ -1,6 +1,15 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const RetentionPolicy = require('./retention.js');
+const VersionGenerator = require('./versioning.js');
+const FileCompression = require('./compression.js');
+const WorkerPool = require('./workerPool.js');
+const IgnoreRules = require('./ignore.js');
+const FileFilter = require('./filters.js');
+
+// Settings each backup profile keeps for itself; all other settings are shared by every profile
+const PROFILE_FIELDS = ['sources', 'deselectedSources', 'outputDir', 'suffix', 'folderName', 'packFiles', 'outputFormat'];
 
 class SettingsItem {
     constructor() {
@@ -25,9 +34,24 @@ class SettingsItem {
         return [
             new OutputDirSetting(provider.outputDir),
             new SendingDirSetting(provider.sendingDir),
+            new SendModeSetting(provider.sendMode),
+            new ConflictPolicySetting(provider.conflictPolicy),
             new SuffixSetting(provider.suffix),
+            new VersionStrategySetting(provider.versionStrategy),
             new PackSetting(provider.packFiles),
-            new FolderNameSetting(provider.folderName)
+            new FormatSetting(provider.outputFormat),
+            new CompressionSetting(provider.compression),
+            new VerificationSetting(provider.verification),
+            new VerifyMetadataSetting(provider.verifyMetadata),
+            new SymlinkSetting(provider.symlinks),
+            new GitignoreSetting(provider.honorGitignore),
+            new FilterSetting(provider.filters),
+            new FolderNameSetting(provider.folderName),
+            new RetentionSetting(provider.retention),
+            new ScheduleSetting(provider.schedule),
+            new BackupOnSaveSetting(provider.backupOnSave),
+            new EncryptionSetting(provider.encryption),
+            new ConcurrencySetting(provider.concurrency)
         ];
     }
 
@@ -84,6 +108,63 @@ class SendingDirSetting {
     }
 }
 
+class SendModeSetting {
+    constructor(currentValue) {
+        this.name = '🔄 Send Mode';
+        this.currentValue = currentValue || 'copy';
+        this.tooltip = 'Click to choose whether Send Files copies everything, syncs changed files or mirrors the selection';
+    }
+
+    getTreeItem() {
+        const labels = { copy: 'Copy', sync: 'Sync', mirror: 'Mirror' };
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = labels[this.currentValue] || this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.selectSendMode',
+            title: 'Select Send Mode'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class ConflictPolicySetting {
+    constructor(currentValue) {
+        this.name = '⚔️ Send Conflicts';
+        this.currentValue = currentValue || 'overwrite';
+        this.tooltip = 'Click to choose what Send Files does with files that already exist in the sending directory';
+    }
+
+    getTreeItem() {
+        const labels = {
+            overwrite: 'Overwrite',
+            skip: 'Skip',
+            newer: 'Keep newer',
+            larger: 'Keep larger',
+            rename: 'Rename',
+            ask: 'Ask'
+        };
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = labels[this.currentValue] || this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.selectConflictPolicy',
+            title: 'Select Send Conflict Policy'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
 class SuffixSetting {
     constructor(currentValue) {
         this.name = '🔖 Version Suffix';
@@ -108,6 +189,31 @@ class SuffixSetting {
     }
 }
 
+class VersionStrategySetting {
+    constructor(currentValue) {
+        this.name = '🔢 Version Strategy';
+        this.currentValue = currentValue || 'manual';
+        this.tooltip = 'Click to choose how the version is suggested (manual, auto-increment, semver, date/time, git)';
+    }
+
+    getTreeItem() {
+        const strategy = VersionGenerator.strategies[this.currentValue];
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = strategy ? strategy.label : this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.selectVersionStrategy',
+            title: 'Select Version Strategy'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
 class PackSetting {
     constructor(currentValue) {
         this.currentValue = currentValue;
@@ -147,6 +253,129 @@ class PackSetting {
     }
 }
 
+class FormatSetting {
+    constructor(currentValue) {
+        this.name = '🗜️ Output Format';
+        this.currentValue = currentValue || 'folder';
+        this.tooltip = 'Click to choose how packed backups are stored (folder, .zip, .tar, .tar.gz)';
+    }
+
+    getTreeItem() {
+        const labels = { folder: 'Folder', zip: 'ZIP', tar: 'TAR', 'tar.gz': 'TAR.GZ' };
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = labels[this.currentValue] || this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.selectFormat',
+            title: 'Select Output Format'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class CompressionSetting {
+    constructor(currentValue) {
+        this.name = '📉 File Compression';
+        this.currentValue = new FileCompression(currentValue).describe();
+        this.tooltip = 'Click to compress files in folder backups with gzip or brotli (already-compressed formats are skipped)';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.selectCompression',
+            title: 'Select File Compression'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class VerificationSetting {
+    constructor(currentValue) {
+        this.name = '🛡️ Verification';
+        this.currentValue = currentValue || 'paranoid';
+        this.tooltip = 'Click to choose whether every copy is re-read and re-hashed after a backup';
+    }
+
+    getTreeItem() {
+        const labels = { fast: 'Fast', paranoid: 'Paranoid' };
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = labels[this.currentValue] || this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.selectVerification',
+            title: 'Select Verification Level'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class VerifyMetadataSetting {
+    constructor(currentValue) {
+        this.name = '🕒 Verify Metadata';
+        this.currentValue = Boolean(currentValue);
+        this.tooltip = 'Click to toggle checking that copies kept their modification times and permissions';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = this.currentValue ? 'On' : 'Off';
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.toggleVerifyMetadata',
+            title: 'Toggle Metadata Verification'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class SymlinkSetting {
+    constructor(currentValue) {
+        this.name = '🔗 Symlinks';
+        this.currentValue = currentValue || 'follow';
+        this.tooltip = 'Click to choose how symlinks inside selected folders are backed up and sent';
+    }
+
+    getTreeItem() {
+        const labels = { follow: 'Follow', preserve: 'Preserve as links', skip: 'Skip' };
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = labels[this.currentValue] || this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.selectSymlinkPolicy',
+            title: 'Select Symlink Handling'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
 class FolderNameSetting {
     constructor(currentValue) {
         this.name = '📦 Packing Folder Name';
@@ -171,10 +400,212 @@ class FolderNameSetting {
     }
 }
 
+class RetentionSetting {
+    constructor(currentValue) {
+        this.name = '🧹 Retention Policy';
+        this.currentValue = new RetentionPolicy(currentValue).describe();
+        this.tooltip = 'Click to configure which old backups are pruned (last N, daily/weekly/monthly, max age)';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.editRetention',
+            title: 'Edit Retention Policy'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class ScheduleSetting {
+    constructor(currentValue) {
+        this.name = '⏰ Scheduled Backups';
+        this.currentValue = currentValue && currentValue.enabled
+            ? `Every ${currentValue.intervalMinutes} min`
+            : 'Off';
+        this.tooltip = 'Click to back up the current selection automatically on an interval (skipped when nothing changed)';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.configureSchedule',
+            title: 'Configure Scheduled Backups'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class BackupOnSaveSetting {
+    constructor(currentValue) {
+        this.name = '💾 Backup on Save';
+        this.currentValue = currentValue && currentValue.enabled;
+        this.tooltip = 'Click to toggle snapshots of selected files into the .history folder whenever they are saved';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = this.currentValue ? 'On' : 'Off';
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.toggleBackupOnSave',
+            title: 'Toggle Backup on Save'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class EncryptionSetting {
+    constructor(currentValue) {
+        this.name = '🔒 Encryption';
+        this.currentValue = !currentValue || !currentValue.enabled
+            ? 'Off'
+            : (currentValue.rememberPassphrase ? 'On (passphrase remembered)' : 'On');
+        this.tooltip = 'Click to encrypt backups with a passphrase (AES-256-GCM)';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.configureEncryption',
+            title: 'Configure Encryption'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class ConcurrencySetting {
+    constructor(currentValue) {
+        this.name = '⚡ Parallel File Operations';
+        this.currentValue = currentValue || WorkerPool.defaultSize;
+        this.tooltip = 'Click to set how many files are copied or hashed at the same time';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = String(this.currentValue);
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.editConcurrency',
+            title: 'Edit Parallel File Operations'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class GitignoreSetting {
+    constructor(currentValue) {
+        this.name = '🙈 Honor .gitignore';
+        this.currentValue = Boolean(currentValue);
+        this.tooltip = 'Click to toggle leaving out files matched by .gitignore (.backupignore files always apply)';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = this.currentValue ? 'On' : 'Off';
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.toggleGitignore',
+            title: 'Toggle Honor .gitignore'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class FilterSetting {
+    constructor(currentValue) {
+        this.name = '🔍 File Filters';
+        this.currentValue = new FileFilter(currentValue).describe();
+        this.tooltip = 'Click to include or exclude files inside selected folders by extension, size or modification age';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = this.currentValue;
+        item.contextValue = 'setting';
+        item.tooltip = this.tooltip;
+        item.command = {
+            command: 'backup-vault.editFilters',
+            title: 'Edit File Filters'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class ProfileSwitcher {
+    constructor(profiles, activeProfile) {
+        this.profiles = profiles;
+        this.activeProfile = activeProfile;
+        this.name = '👤 Profile';
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.description = this.activeProfile || (this.profiles.length > 0 ? 'None' : 'None (click to create one)');
+        // 'profile' enables the inline run action for the active profile
+        item.contextValue = this.activeProfile ? 'profile' : 'noProfile';
+        item.tooltip = this.profiles.length > 0
+            ? `Click to switch profile (${this.profiles.map(profile => profile.name).join(', ')})`
+            : 'Click to save the current selection and naming as a named profile';
+        item.command = {
+            command: 'backup-vault.switchProfile',
+            title: 'Switch Profile'
+        };
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
 class SelectionIndicator {
-    constructor(selectedItems, deselectedItems) {
+    constructor(selectedItems, deselectedItems, ignoreRules = null, fileFilter = null) {
         this.selectedItems = selectedItems;
         this.deselectedItems = deselectedItems;
+        this.ignoreRules = ignoreRules;
+        this.fileFilter = fileFilter;
+        this.filteredCount = 0;
         this.name = '📊 Selection Summary';
         this.tooltip = 'Shows count of selected folders, files, and total items';
     }
@@ -200,6 +631,7 @@ class SelectionIndicator {
         let directFolders = 0;
         let directFiles = 0;
         let totalItems = 0;
+        this.filteredCount = 0;
 
         // Count all directly selected items and their contents, minus deselected items
         for (const itemPath of this.selectedItems) {
@@ -222,7 +654,8 @@ class SelectionIndicator {
             }
         }
 
-        return `${directFolders} folders, ${directFiles} files (${totalItems} total)`;
+        const filtered = this.filteredCount > 0 ? `, ${this.filteredCount} filtered out` : '';
+        return `${directFolders} folders, ${directFiles} files (${totalItems} total${filtered})`;
     }
 
     countSelectedItemsInDirectory(dirPath) {
@@ -232,7 +665,14 @@ class SelectionIndicator {
 
             for (const item of items) {
                 const itemPath = path.join(dirPath, item.name);
-                // Only count items that are not in deselectedItems
+                // Only count items that are neither deselected nor ignored
+                if (this.ignoreRules && this.ignoreRules.isIgnored(itemPath, item.isDirectory())) {
+                    continue;
+                }
+                if (this.isFilteredOut(itemPath, item.isDirectory())) {
+                    this.filteredCount++;
+                    continue;
+                }
                 if (!this.deselectedItems.has(itemPath)) {
                     count++; // Count this item
                     if (item.isDirectory()) {
@@ -248,6 +688,17 @@ class SelectionIndicator {
         }
     }
 
+    isFilteredOut(itemPath, isDirectory) {
+        if (!this.fileFilter || isDirectory) {
+            return false;
+        }
+        try {
+            return !this.fileFilter.matches(itemPath, fs.statSync(itemPath));
+        } catch (error) {
+            return false;
+        }
+    }
+
     countItemsInDirectory(dirPath) {
         try {
             let count = 0;
@@ -268,6 +719,100 @@ class SelectionIndicator {
     }
 }
 
+class BackupHistoryItem {
+    constructor() {
+        this.name = '🗂️ Backup History';
+        this.tooltip = 'Backups in the output directory, newest version first';
+        this.collapsibleState = vscode.TreeItemCollapsibleState.Collapsed;
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, this.collapsibleState);
+        item.contextValue = 'backupHistory';
+        item.tooltip = this.tooltip;
+        item.color = '#3794FF';
+        return item;
+    }
+
+    async getChildren() {
+        const provider = this.getProvider();
+        if (!provider || !provider.outputDir) {
+            return [new BackupHistoryMessage('Set an output directory to see its backups')];
+        }
+
+        try {
+            const backups = await provider.listBackups();
+            if (backups.length === 0) {
+                return [new BackupHistoryMessage('No backups yet')];
+            }
+
+            // Natural version order ("v2" before "v10"), newest first; equal versions by name
+            return backups
+                .sort((a, b) => VersionGenerator.compare(b.version, a.version) || a.name.localeCompare(b.name))
+                .map(backup => new BackupHistoryEntry(backup));
+        } catch (error) {
+            console.error('Error listing backups:', error);
+            return [new BackupHistoryMessage(`Could not read output directory: ${error.message}`)];
+        }
+    }
+
+    getProvider() {
+        return global.treeDataProvider;
+    }
+}
+
+class BackupHistoryEntry {
+    constructor(backup) {
+        this.backupPath = backup.path;
+        this.name = backup.name;
+        this.version = backup.version;
+        this.createdAt = backup.createdAt;
+        this.kind = backup.manifest.kind || 'backup';
+        this.totalFiles = backup.manifest.totalFiles || 0;
+        this.totalBytes = backup.manifest.totalBytes || 0;
+        this.encrypted = Boolean(backup.manifest.encryption);
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.resourceUri = vscode.Uri.file(this.backupPath);
+        item.contextValue = 'backup';
+
+        const date = this.createdAt ? new Date(this.createdAt).toLocaleString() : 'unknown date';
+        const details = [
+            this.kind === 'backup' ? `version ${this.version}` : this.kind,
+            date,
+            FileFilter.formatSize(this.totalBytes),
+            `${this.totalFiles} file${this.totalFiles === 1 ? '' : 's'}`
+        ];
+        if (this.encrypted) details.push('🔒');
+        item.description = details.join(' · ');
+        item.tooltip = `${this.backupPath}\nVersion: ${this.version}\nCreated: ${date}\n${this.totalFiles} file(s), ${FileFilter.formatSize(this.totalBytes)}`;
+        item.iconPath = new vscode.ThemeIcon(this.kind === 'backup' ? 'archive' : 'history');
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
+class BackupHistoryMessage {
+    constructor(message) {
+        this.name = message;
+    }
+
+    getTreeItem() {
+        const item = new vscode.TreeItem(this.name, vscode.TreeItemCollapsibleState.None);
+        item.contextValue = 'message';
+        return item;
+    }
+
+    getChildren() {
+        return [];
+    }
+}
+
 class BackupItem {
     constructor(name, fullPath, isDirectory, parent = null, isRoot = false) {
         this.name = name;
@@ -360,6 +905,9 @@ class BackupTreeDataProvider {
         this.workspaceRoot = null;
         this.selectedItems = new Set();
         this.deselectedItems = new Set(); // Track items explicitly deselected from parent selections
+        this.ignoreRules = null; // Built on first use, dropped on refresh so edited ignore files are picked up
+        this.backupHistory = new BackupHistoryItem();
+        this.fileOps = null; // Set by the extension once file operations are initialized
 
         // Load saved settings
         this.loadSettings();
@@ -373,9 +921,27 @@ class BackupTreeDataProvider {
             deselectedSources: [],
             outputDir: '',
             sendingDir: '',
+            sendMode: 'copy',
+            conflictPolicy: 'overwrite',
             packFiles: false,
             folderName: '',
-            suffix: 'v'
+            suffix: 'v',
+            outputFormat: 'folder',
+            compression: FileCompression.defaultSettings,
+            verification: 'paranoid',
+            verifyMetadata: false,
+            symlinks: 'follow',
+            honorGitignore: false,
+            filters: FileFilter.defaultRules,
+            retention: RetentionPolicy.defaultRules,
+            versionStrategy: 'manual',
+            schedule: { enabled: false, intervalMinutes: 60 },
+            backupOnSave: { enabled: false, debounceMs: 2000 },
+            encryption: { enabled: false, rememberPassphrase: false },
+            concurrency: WorkerPool.defaultSize,
+            profiles: [],
+            activeProfile: null,
+            unprofiledState: null
         });
 
         console.log('Raw settings loaded:', settings);
@@ -410,9 +976,28 @@ class BackupTreeDataProvider {
         // Load other settings
         this.outputDir = settings.outputDir;
         this.sendingDir = settings.sendingDir;
+        this.sendMode = settings.sendMode || 'copy';
+        this.conflictPolicy = settings.conflictPolicy || 'overwrite';
         this.packFiles = settings.packFiles;
         this.folderName = settings.folderName;
         this.suffix = settings.suffix;
+        this.outputFormat = settings.outputFormat || 'folder';
+        this.compression = settings.compression || FileCompression.defaultSettings;
+        this.verification = settings.verification || 'paranoid';
+        this.verifyMetadata = Boolean(settings.verifyMetadata);
+        this.symlinks = settings.symlinks || 'follow';
+        this.honorGitignore = Boolean(settings.honorGitignore);
+        this.filters = settings.filters || FileFilter.defaultRules;
+        this.retention = settings.retention || RetentionPolicy.defaultRules;
+        this.versionStrategy = settings.versionStrategy || 'manual';
+        this.schedule = settings.schedule || { enabled: false, intervalMinutes: 60 };
+        this.backupOnSave = settings.backupOnSave || { enabled: false, debounceMs: 2000 };
+        this.encryption = settings.encryption || { enabled: false, rememberPassphrase: false };
+        this.concurrency = settings.concurrency || WorkerPool.defaultSize;
+        this.profiles = settings.profiles || [];
+        this.activeProfile = this.profiles.some(profile => profile.name === settings.activeProfile) ? settings.activeProfile : null;
+        // Selection and naming from before the first switch to a profile, restored when switching back to none
+        this.unprofiledState = settings.unprofiledState || null;
 
         console.log('Settings loaded - selectedItems:', Array.from(this.selectedItems), 'deselectedItems:', Array.from(this.deselectedItems));
     }
@@ -446,14 +1031,164 @@ class BackupTreeDataProvider {
             deselectedSources: filteredDeselected,
             outputDir: this.outputDir,
             sendingDir: this.sendingDir,
+            sendMode: this.sendMode,
+            conflictPolicy: this.conflictPolicy,
             packFiles: this.packFiles,
             folderName: this.folderName,
-            suffix: this.suffix
+            suffix: this.suffix,
+            outputFormat: this.outputFormat,
+            compression: this.compression,
+            verification: this.verification,
+            verifyMetadata: this.verifyMetadata,
+            symlinks: this.symlinks,
+            honorGitignore: this.honorGitignore,
+            filters: this.filters,
+            retention: this.retention,
+            versionStrategy: this.versionStrategy,
+            schedule: this.schedule,
+            backupOnSave: this.backupOnSave,
+            encryption: this.encryption,
+            concurrency: this.concurrency,
+            profiles: this.profiles,
+            activeProfile: this.activeProfile,
+            unprofiledState: this.unprofiledState
         };
+
+        // The active profile follows every change to the selection and its settings
+        if (this.activeProfile) {
+            this.profiles = this.profiles.map(profile =>
+                profile.name === this.activeProfile ? this._captureProfile(profile.name, settings) : profile
+            );
+            settings.profiles = this.profiles;
+        }
         console.log('Saving settings with sources:', settings.sources, 'deselectedSources:', settings.deselectedSources);
         this.context.workspaceState.update('backupSettings', settings);
     }
 
+    /**
+     * A profile's stored settings, or undefined if there is no profile with that name
+     */
+    getProfile(name) {
+        return this.profiles.find(profile => profile.name === name);
+    }
+
+    /**
+     * Save the current selection and naming as a new profile and make it the active one
+     */
+    createProfile(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Profile name cannot be empty');
+        }
+        if (this.getProfile(trimmed)) {
+            throw new Error(`A profile named '${trimmed}' already exists`);
+        }
+        if (!this.activeProfile) {
+            this.unprofiledState = this._captureCurrentState();
+        }
+        this.profiles = [...this.profiles, { name: trimmed }];
+        this.activeProfile = trimmed;
+        // Saving captures the current state into the new active profile
+        this.saveSettings();
+        this.refresh();
+    }
+
+    /**
+     * Load a profile's selection and settings into the tree, or with null go back to the selection and
+     * settings the tree had before a profile was switched to
+     * The profile being left keeps the state it had, as saveSettings stores every change into it
+     */
+    switchProfile(name) {
+        if (name === null) {
+            if (this.activeProfile && this.unprofiledState) {
+                this._applyProfile(this.unprofiledState);
+            }
+            this.unprofiledState = null;
+            this.activeProfile = null;
+            this.saveSettings();
+            this.refresh();
+            return;
+        }
+
+        const profile = this.getProfile(name);
+        if (!profile) {
+            throw new Error(`Profile '${name}' does not exist`);
+        }
+        if (!this.activeProfile) {
+            this.unprofiledState = this._captureCurrentState();
+        }
+        this._applyProfile(profile);
+        this.activeProfile = name;
+        this.saveSettings();
+        this.refresh();
+    }
+
+    /**
+     * Change stored settings of a profile, e.g. an output directory picked while running it
+     */
+    updateProfile(name, fields) {
+        const profile = this.getProfile(name);
+        if (!profile) {
+            throw new Error(`Profile '${name}' does not exist`);
+        }
+        const updated = { ...profile, ...fields, name };
+        this.profiles = this.profiles.map(entry => entry.name === name ? updated : entry);
+        if (name === this.activeProfile) {
+            this._applyProfile(updated);
+            this.refresh();
+        }
+        this.saveSettings();
+    }
+
+    /**
+     * Delete a profile; deleting the active one leaves its selection in the tree without a profile
+     */
+    deleteProfile(name) {
+        this.profiles = this.profiles.filter(profile => profile.name !== name);
+        if (this.activeProfile === name) {
+            this.activeProfile = null;
+            this.unprofiledState = null;
+        }
+        this.saveSettings();
+        this.refresh();
+    }
+
+    _captureProfile(name, settings) {
+        const profile = { name };
+        for (const field of PROFILE_FIELDS) {
+            profile[field] = settings[field];
+        }
+        return profile;
+    }
+
+    _captureCurrentState() {
+        const state = {};
+        for (const field of PROFILE_FIELDS) {
+            state[field] = this[field];
+        }
+        state.sources = Array.from(this.selectedItems);
+        state.deselectedSources = Array.from(this.deselectedItems);
+        return state;
+    }
+
+    _applyProfile(profile) {
+        const exists = itemPath => {
+            try {
+                return fs.existsSync(itemPath);
+            } catch {
+                return false;
+            }
+        };
+        const workspaceRootPath = this.workspaceRoot ? this.workspaceRoot.fullPath : null;
+        this.selectedItems = new Set(this.removeParentChildConflicts((profile.sources || []).filter(exists), workspaceRootPath));
+        this.deselectedItems = new Set((profile.deselectedSources || []).filter(exists));
+        this.outputDir = profile.outputDir || '';
+        this.suffix = profile.suffix || 'v';
+        this.folderName = profile.folderName || '';
+        this.packFiles = Boolean(profile.packFiles);
+        this.outputFormat = profile.outputFormat || 'folder';
+    }
+
     initializeWorkspace() {
         const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
         if (workspaceFolder) {
@@ -473,21 +1208,52 @@ class BackupTreeDataProvider {
 
     getChildren(element) {
         if (!this.workspaceRoot) {
-            return [new SelectionIndicator(this.selectedItems, this.deselectedItems), new SettingsItem()]; // Still show settings even without workspace
+            return [new ProfileSwitcher(this.profiles, this.activeProfile), new SelectionIndicator(this.selectedItems, this.deselectedItems), new SettingsItem(), this.backupHistory]; // Still show settings even without workspace
         }
 
         if (!element) {
-            // Root level - return selection indicator, settings item and workspace root
-            return [new SelectionIndicator(this.selectedItems, this.deselectedItems), new SettingsItem(), this.workspaceRoot];
+            // Root level - return profile switcher, selection indicator, settings item, backup history and workspace root
+            return [new ProfileSwitcher(this.profiles, this.activeProfile), new SelectionIndicator(this.selectedItems, this.deselectedItems, this.getIgnoreRules(), this.getFileFilter()), new SettingsItem(), this.backupHistory, this.workspaceRoot];
         }
 
         return element.getChildren();
     }
 
     refresh() {
+        this.ignoreRules = null;
         this._onDidChangeTreeData.fire();
     }
 
+    // Reload only the Backup History section, e.g. after a backup was created or deleted
+    refreshHistory() {
+        this._onDidChangeTreeData.fire(this.backupHistory);
+    }
+
+    // Backups (and pre-restore safety backups) in the output directory
+    async listBackups() {
+        if (!this.fileOps || !this.outputDir) {
+            return [];
+        }
+        return this.fileOps.listBackups(this.outputDir);
+    }
+
+    // .backupignore (and optionally .gitignore) rules of the workspace, or null without a workspace
+    getIgnoreRules() {
+        if (!this.workspaceRoot) {
+            return null;
+        }
+        if (!this.ignoreRules) {
+            this.ignoreRules = new IgnoreRules(this.workspaceRoot.fullPath, { gitignore: this.honorGitignore });
+        }
+        return this.ignoreRules;
+    }
+
+    // Extension, size and age filter for files inside selected folders, or null when no rule is active
+    getFileFilter() {
+        const fileFilter = new FileFilter(this.filters);
+        return fileFilter.isEnabled() ? fileFilter : null;
+    }
+
     toggleSelection(item) {
         console.log('toggleSelection called with item:', item.name, 'path:', item.fullPath, 'isRoot:', item.isRoot);
         console.log('selectedItems before toggle:', Array.from(this.selectedItems));
@@ -595,14 +1361,61 @@ class BackupTreeDataProvider {
             return true;
         }
 
-        // Check if any parent is selected and this item hasn't been explicitly deselected
+        // Check if any parent is selected and this item hasn't been explicitly deselected, ignored or filtered out
         if (this.isParentSelected(item) && !this.deselectedItems.has(item.fullPath)) {
-            return true;
+            return !this.isExcludedBelowSelection(item.fullPath, item.isDirectory);
         }
 
         return false;
     }
 
+    // Check if ignore rules or the file filter leave out a path inside a selected folder (selected items themselves are always included)
+    isExcludedBelowSelection(fullPath, isDirectory) {
+        if (this.selectedItems.has(fullPath)) {
+            return false;
+        }
+
+        const ignoreRules = this.getIgnoreRules();
+        if (ignoreRules && Array.from(this.selectedItems).some(selectedPath =>
+            ignoreRules.isExcludedBelow(selectedPath, fullPath, isDirectory)
+        )) {
+            return true;
+        }
+
+        const fileFilter = this.getFileFilter();
+        if (!fileFilter || isDirectory) {
+            return false;
+        }
+        try {
+            return !fileFilter.matches(fullPath, fs.statSync(fullPath));
+        } catch {
+            return false;
+        }
+    }
+
+    // Check if a filesystem path falls within the selection (for paths without a loaded tree item)
+    isPathSelected(fullPath) {
+        const isSameOrInside = (candidate, base) =>
+            candidate === base || candidate.startsWith(base + '\\') || candidate.startsWith(base + '/');
+
+        const selected = Array.from(this.selectedItems).some(selectedPath => isSameOrInside(fullPath, selectedPath));
+        if (!selected) {
+            return false;
+        }
+
+        // Excluded if the path itself or any of its folders was deselected, ignored or filtered out
+        if (Array.from(this.deselectedItems).some(deselectedPath => isSameOrInside(fullPath, deselectedPath))) {
+            return false;
+        }
+        let isDirectory = false;
+        try {
+            isDirectory = fs.statSync(fullPath).isDirectory();
+        } catch {
+            // Missing paths are matched as files
+        }
+        return !this.isExcludedBelowSelection(fullPath, isDirectory);
+    }
+
     selectAllChildren(item) {
         if (item.children.length === 0) {
             item.getChildren(); // Load children if not loaded
@@ -0,0 +1,69 @@
+// Parallel file operations by default; low enough to stay clear of open file limits
+const DEFAULT_SIZE = 8;
+const MAX_SIZE = 64;
+
+class WorkerPool {
+  constructor(size = DEFAULT_SIZE) {
+    this.size = DEFAULT_SIZE;
+    this.active = 0;
+    this.queue = [];
+    this.setSize(size);
+  }
+
+  static get defaultSize() {
+    return DEFAULT_SIZE;
+  }
+
+  static get maxSize() {
+    return MAX_SIZE;
+  }
+
+  /**
+   * Change the number of tasks allowed to run at once (queued tasks start as slots free up)
+   */
+  setSize(size) {
+    const value = parseInt(size, 10);
+    this.size = Number.isFinite(value) && value > 0 ? Math.min(value, MAX_SIZE) : DEFAULT_SIZE;
+    this._next();
+  }
+
+  /**
+   * Run a task as soon as a slot is free and resolve with its result
+   * Tasks must not wait on other pool tasks, or a full pool deadlocks
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this._next();
+    });
+  }
+
+  /**
+   * Wait for all promises, then throw the first failure
+   * Unlike Promise.all, nothing is left running in the background after an error
+   */
+  static async settle(promises) {
+    const results = await Promise.allSettled(promises);
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+    return results.map(result => result.value);
+  }
+
+  _next() {
+    while (this.active < this.size && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this._next();
+        });
+    }
+  }
+}
+
+module.exports = WorkerPool;